@@ -0,0 +1,77 @@
+/**
+ * VoiceScribe AI - Authentication
+ * 共有シークレット（API_SHARED_SECRET）またはユーザーごとのトークン（API_TOKENS）を検証する
+ * どちらも未設定なら認証なしで受け付け、クライアントはIPアドレスで識別する
+ *
+ * 環境変数:
+ *   API_SHARED_SECRET  - 全員共通のトークン
+ *   API_TOKENS         - "user1:token1,user2:token2" 形式のユーザー別トークン
+ *
+ * トークンは Authorization: Bearer <token> ヘッダーで送る
+ */
+
+import crypto from 'crypto';
+import { ApiError, ERROR_CODES } from './errors.js';
+
+function parseTokens(env) {
+    const tokens = [];
+    if (env.API_SHARED_SECRET) {
+        tokens.push({ user: 'shared', token: env.API_SHARED_SECRET });
+    }
+    (env.API_TOKENS || '').split(',').forEach((pair) => {
+        const index = pair.indexOf(':');
+        if (index > 0) {
+            tokens.push({ user: pair.slice(0, index).trim(), token: pair.slice(index + 1).trim() });
+        }
+    });
+    return tokens.filter(entry => entry.user && entry.token);
+}
+
+/**
+ * 長さの違いも漏らさないようハッシュ同士を定数時間で比較
+ */
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(a).digest();
+    const hashB = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function getBearerToken(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * 接続元のIPアドレス（Vercelではx-forwarded-forの先頭が実際のクライアント）
+ */
+function getClientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    const ip = (Array.isArray(forwarded) ? forwarded[0] : forwarded || '').split(',')[0].trim();
+    return ip || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * リクエストを認証し、レート制限に使うクライアントIDを返す
+ * トークンが必要な設定で欠落・不一致の場合は401を投げる
+ */
+export function authenticate(req, env = process.env) {
+    const tokens = parseTokens(env);
+    if (tokens.length === 0) {
+        return { clientId: `ip:${getClientIp(req)}` };
+    }
+
+    const token = getBearerToken(req);
+    if (!token) {
+        throw new ApiError(ERROR_CODES.UNAUTHORIZED, 'API token required');
+    }
+
+    const entry = tokens.find(candidate => safeEqual(candidate.token, token));
+    if (!entry) {
+        throw new ApiError(ERROR_CODES.UNAUTHORIZED, 'Invalid API token');
+    }
+
+    // 共有シークレットは全員が同じトークンのため、IPアドレスごとに制限する
+    return {
+        clientId: entry.user === 'shared' ? `ip:${getClientIp(req)}` : `user:${entry.user}`,
+    };
+}
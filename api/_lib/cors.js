@@ -0,0 +1,35 @@
+/**
+ * VoiceScribe AI - CORS
+ * ALLOWED_ORIGINS（カンマ区切り、既定は *）に含まれるOriginだけを許可する
+ */
+
+function getAllowedOrigins(env = process.env) {
+    return (env.ALLOWED_ORIGINS || '*')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+}
+
+/**
+ * CORSヘッダーを設定し、リクエスト元のOriginが許可されているかを返す
+ * Originヘッダーのないリクエスト（同一オリジンのGET、サーバー間通信など）は許可する
+ */
+export function applyCors(req, res, methods = 'POST, OPTIONS') {
+    const allowedOrigins = getAllowedOrigins();
+    const origin = req.headers.origin;
+    const allowAll = allowedOrigins.includes('*');
+    const allowed = !origin || allowAll || allowedOrigins.includes(origin);
+
+    if (allowAll) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else {
+        res.setHeader('Vary', 'Origin');
+        if (origin && allowed) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+        }
+    }
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    return allowed;
+}
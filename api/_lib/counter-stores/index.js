@@ -0,0 +1,32 @@
+/**
+ * VoiceScribe AI - Counter Stores
+ * レート制限・利用量のカウンターを保持するストア（RATE_LIMIT_STOREで切り替え）
+ *   memory（既定）
+ *
+ * ストアは以下を実装する（いずれもPromiseを返す）:
+ *   get(key)                          - 現在値（期限切れ・未登録は0）
+ *   increment(key, amount, ttlSeconds) - 加算後の値（キー作成時からttlSeconds後に消える）
+ */
+
+import { createMemoryCounterStore } from './memory.js';
+
+const STORE_FACTORIES = {
+    memory: createMemoryCounterStore,
+};
+
+const DEFAULT_STORE = 'memory';
+
+let cachedStore = null;
+
+export function getCounterStore(env = process.env) {
+    if (cachedStore) return cachedStore;
+
+    const name = (env.RATE_LIMIT_STORE || DEFAULT_STORE).trim().toLowerCase();
+    const factory = STORE_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+    }
+
+    cachedStore = factory(env);
+    return cachedStore;
+}
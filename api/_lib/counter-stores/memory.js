@@ -0,0 +1,44 @@
+/**
+ * VoiceScribe AI - In-memory Counter Store
+ * プロセス内のMapでカウンターを保持する（既定）
+ * サーバーレス環境ではインスタンスごとに独立し、コールドスタートで消える点に注意
+ */
+
+// 期限切れのキーを掃除する間隔
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export function createMemoryCounterStore() {
+    const counters = new Map();
+    let lastSweep = Date.now();
+
+    function sweep(now) {
+        if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+        lastSweep = now;
+        for (const [key, counter] of counters) {
+            if (counter.expiresAt <= now) counters.delete(key);
+        }
+    }
+
+    function read(key, now) {
+        const counter = counters.get(key);
+        return counter && counter.expiresAt > now ? counter : null;
+    }
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            return read(key, Date.now())?.value || 0;
+        },
+
+        async increment(key, amount, ttlSeconds) {
+            const now = Date.now();
+            sweep(now);
+
+            const counter = read(key, now) || { value: 0, expiresAt: now + ttlSeconds * 1000 };
+            counter.value += amount;
+            counters.set(key, counter);
+            return counter.value;
+        },
+    };
+}
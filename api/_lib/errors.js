@@ -0,0 +1,145 @@
+/**
+ * VoiceScribe AI - API Errors
+ * 失敗を安定したエラーコードに変換してクライアントに返す
+ * クライアントはcodeを見て再送・分割などの対応を決める（queue.jsのAPI_ERROR_CODESと対応）
+ */
+
+export const ERROR_CODES = {
+    BAD_REQUEST: 'bad_request',
+    METHOD_NOT_ALLOWED: 'method_not_allowed',
+    UNAUTHORIZED: 'unauthorized',
+    FORBIDDEN: 'forbidden',
+    NOT_FOUND: 'not_found',
+    JOB_NOT_READY: 'job_not_ready',
+    JOBS_DISABLED: 'jobs_disabled',
+    RATE_LIMITED: 'rate_limited',
+    QUOTA_EXCEEDED: 'quota_exceeded',
+    TOO_LARGE: 'too_large',
+    UNSUPPORTED_FORMAT: 'unsupported_format',
+    EMPTY_AUDIO: 'empty_audio',
+    PROVIDER_UNAVAILABLE: 'provider_unavailable',
+    INTERNAL: 'internal_error',
+};
+
+const DEFAULT_STATUS = {
+    [ERROR_CODES.BAD_REQUEST]: 400,
+    [ERROR_CODES.METHOD_NOT_ALLOWED]: 405,
+    [ERROR_CODES.UNAUTHORIZED]: 401,
+    [ERROR_CODES.FORBIDDEN]: 403,
+    [ERROR_CODES.NOT_FOUND]: 404,
+    [ERROR_CODES.JOB_NOT_READY]: 409,
+    [ERROR_CODES.JOBS_DISABLED]: 501,
+    [ERROR_CODES.RATE_LIMITED]: 429,
+    [ERROR_CODES.QUOTA_EXCEEDED]: 429,
+    [ERROR_CODES.TOO_LARGE]: 413,
+    [ERROR_CODES.UNSUPPORTED_FORMAT]: 415,
+    [ERROR_CODES.EMPTY_AUDIO]: 400,
+    [ERROR_CODES.PROVIDER_UNAVAILABLE]: 503,
+    [ERROR_CODES.INTERNAL]: 500,
+};
+
+// プロバイダーの400応答をメッセージから分類する
+const UNSUPPORTED_FORMAT_PATTERN = /format|file type|media type|could not (?:process|decode)|invalid file/i;
+const EMPTY_AUDIO_PATTERN = /too short|empty|no audio|minimum/i;
+
+export class ApiError extends Error {
+    constructor(code, message, { status, retryAfter, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status || DEFAULT_STATUS[code] || 500;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Retry-Afterヘッダー（秒数またはHTTP日付）を秒に変換
+ */
+export function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, (date - Date.now()) / 1000);
+}
+
+/**
+ * エラーからRetry-Afterを取り出す（groq-sdkはheadersをオブジェクトで持つ）
+ */
+export function getRetryAfter(error) {
+    if (error?.retryAfter !== undefined) return error.retryAfter;
+    const headers = error?.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    return parseRetryAfter(value);
+}
+
+/**
+ * ネットワーク断・タイムアウトなど、プロバイダーに届かなかった失敗か
+ */
+function isConnectionError(error) {
+    return error instanceof TypeError
+        || ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'].includes(error?.code)
+        || error?.name === 'APIConnectionError'
+        || error?.name === 'APIConnectionTimeoutError';
+}
+
+/**
+ * 再試行して回復する可能性のある失敗か（429・5xx・接続エラー）
+ */
+export function isRetryableError(error) {
+    return error?.status === 429 || error?.status >= 500 || isConnectionError(error);
+}
+
+/**
+ * 任意のエラーをApiErrorに変換
+ */
+export function toApiError(error) {
+    if (error instanceof ApiError) return error;
+
+    const message = error?.message || 'Transcription failed';
+    const status = error?.status || error?.httpCode;
+
+    if (status === 429) {
+        return new ApiError(ERROR_CODES.RATE_LIMITED, message, { retryAfter: getRetryAfter(error), cause: error });
+    }
+    if (status === 413) {
+        return new ApiError(ERROR_CODES.TOO_LARGE, message, { cause: error });
+    }
+    if (status === 415 || (status === 400 && UNSUPPORTED_FORMAT_PATTERN.test(message))) {
+        return new ApiError(ERROR_CODES.UNSUPPORTED_FORMAT, message, { cause: error });
+    }
+    if (status === 400 && EMPTY_AUDIO_PATTERN.test(message)) {
+        return new ApiError(ERROR_CODES.EMPTY_AUDIO, message, { cause: error });
+    }
+    if (status >= 500 || isConnectionError(error)) {
+        return new ApiError(ERROR_CODES.PROVIDER_UNAVAILABLE, message, {
+            retryAfter: getRetryAfter(error),
+            cause: error,
+        });
+    }
+    if (status >= 400 && status < 500) {
+        return new ApiError(ERROR_CODES.BAD_REQUEST, message, { status, cause: error });
+    }
+    return new ApiError(ERROR_CODES.INTERNAL, message, { cause: error });
+}
+
+/**
+ * エラーレスポンスを送信（待機時間があればRetry-Afterも付ける）
+ */
+export function sendError(res, error) {
+    const apiError = toApiError(error);
+
+    const body = {
+        success: false,
+        code: apiError.code,
+        error: apiError.message,
+    };
+    if (apiError.retryAfter !== undefined) {
+        const retryAfter = Math.ceil(apiError.retryAfter);
+        res.setHeader('Retry-After', String(retryAfter));
+        body.retryAfter = retryAfter;
+    }
+    return res.status(apiError.status).json(body);
+}
@@ -0,0 +1,84 @@
+/**
+ * VoiceScribe AI - File Job Store
+ * ジョブを1件ずつJSONファイルに保存する（プロセスの再起動後もジョブを引き継げる）
+ *
+ * 環境変数:
+ *   JOB_STORE_DIR  - 保存先ディレクトリ（既定: OSの一時ディレクトリ/voicescribe-jobs/meta）
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+export function createFileJobStore(env = process.env) {
+    const dir = env.JOB_STORE_DIR || path.join(os.tmpdir(), 'voicescribe-jobs', 'meta');
+    let ready = null;
+
+    function ensureDir() {
+        ready = ready || fs.promises.mkdir(dir, { recursive: true });
+        return ready;
+    }
+
+    function jobPath(id) {
+        // IDはパスに使うため、ディレクトリの外を指せないものに限る
+        if (!ID_PATTERN.test(id)) return null;
+        return path.join(dir, `${id}.json`);
+    }
+
+    async function read(id) {
+        const file = jobPath(id);
+        if (!file) return null;
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async function write(job) {
+        await ensureDir();
+        const file = jobPath(job.id);
+        // 読み込み中に途中まで書かれたファイルを見せないよう一時ファイルから置き換える
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(job));
+        await fs.promises.rename(temp, file);
+    }
+
+    return {
+        name: 'file',
+
+        async create(job) {
+            await write(job);
+            return job;
+        },
+
+        get: read,
+
+        async update(id, patch) {
+            const job = await read(id);
+            if (!job) return null;
+            Object.assign(job, patch, { updatedAt: Date.now() });
+            await write(job);
+            return job;
+        },
+
+        async delete(id) {
+            const file = jobPath(id);
+            if (file) {
+                await fs.promises.rm(file, { force: true });
+            }
+        },
+
+        async list() {
+            await ensureDir();
+            const names = await fs.promises.readdir(dir);
+            const jobs = await Promise.all(names
+                .filter(name => name.endsWith('.json'))
+                .map(name => read(name.slice(0, -'.json'.length)).catch(() => null)));
+            return jobs.filter(Boolean);
+        },
+    };
+}
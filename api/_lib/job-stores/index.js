@@ -0,0 +1,49 @@
+/**
+ * VoiceScribe AI - Job Stores
+ * 非同期ジョブの保存先（JOB_STOREで切り替え）
+ *   memory（既定） / file（JSONファイル）
+ * memoryはプロセス内にしか残らないため、ジョブの処理（JOB_WORKER）には使えない
+ *
+ * ストアは以下を実装する（いずれもPromiseを返す）:
+ *   create(job)        - 新しいジョブを保存
+ *   get(id)            - ジョブ（なければnull）
+ *   update(id, patch)  - 項目を上書きしてupdatedAtを更新（なければnull）
+ *   delete(id)         - ジョブを削除
+ *   list()             - 全ジョブ（期限切れの掃除用）
+ */
+
+import { createMemoryJobStore } from './memory.js';
+import { createFileJobStore } from './file.js';
+
+const STORE_FACTORIES = {
+    memory: createMemoryJobStore,
+    file: createFileJobStore,
+};
+
+const DEFAULT_STORE = 'memory';
+
+// 再起動・別のインスタンスからジョブを参照できないストア
+const VOLATILE_STORES = ['memory'];
+
+let cachedStore = null;
+
+function getStoreName(env) {
+    return (env.JOB_STORE || DEFAULT_STORE).trim().toLowerCase();
+}
+
+export function isDurableJobStore(env = process.env) {
+    return !VOLATILE_STORES.includes(getStoreName(env));
+}
+
+export function getJobStore(env = process.env) {
+    if (cachedStore) return cachedStore;
+
+    const name = getStoreName(env);
+    const factory = STORE_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown job store: ${name}`);
+    }
+
+    cachedStore = factory(env);
+    return cachedStore;
+}
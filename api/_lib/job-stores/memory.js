@@ -0,0 +1,40 @@
+/**
+ * VoiceScribe AI - In-memory Job Store
+ * プロセス内のMapでジョブを保持する（既定）
+ * 再起動で消えるため、単一プロセスの開発環境・セルフホスト向け
+ */
+
+export function createMemoryJobStore() {
+    const jobs = new Map();
+
+    // 呼び出し側の変更が保存済みの値に影響しないよう複製して受け渡す
+    const clone = (job) => (job ? structuredClone(job) : null);
+
+    return {
+        name: 'memory',
+
+        async create(job) {
+            jobs.set(job.id, clone(job));
+            return clone(job);
+        },
+
+        async get(id) {
+            return clone(jobs.get(id));
+        },
+
+        async update(id, patch) {
+            const job = jobs.get(id);
+            if (!job) return null;
+            Object.assign(job, clone(patch), { updatedAt: Date.now() });
+            return clone(job);
+        },
+
+        async delete(id) {
+            jobs.delete(id);
+        },
+
+        async list() {
+            return Array.from(jobs.values(), clone);
+        },
+    };
+}
@@ -0,0 +1,300 @@
+/**
+ * VoiceScribe AI - Transcription Jobs
+ * 長時間の音声を非同期ジョブとして処理する
+ * クライアントが分割した複数のパートを1つずつ受け取り、揃ったら順番に文字起こしして
+ * パートごとに途中結果を保存する
+ *
+ * 処理はレスポンス後もこのプロセスで続けるため、常駐するサーバーでのみ有効にする
+ * （サーバーレス環境では無効のままにし、クライアントが分割して /api/transcribe に送る）
+ * プロセスが止まった場合は、状態の取得時に更新が止まったジョブを再開する（完了済みのパートは再処理しない）
+ *
+ * 環境変数:
+ *   JOB_WORKER       - inline でこのサーバーのプロセスがジョブを処理する（未設定ならジョブAPIは無効）
+ *                      JOB_STORE に永続的なストア（file等）の指定も必要
+ *   JOB_AUDIO_DIR    - パートの音声の保存先（既定: OSの一時ディレクトリ/voicescribe-jobs/audio）
+ *   JOB_TTL_SECONDS  - ジョブの保持期間（既定: 86400）
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getJobStore, isDurableJobStore } from './job-stores/index.js';
+import { ApiError, ERROR_CODES, toApiError } from './errors.js';
+import { recordAudioUsage } from './rate-limit.js';
+import { formatTranscriptionResult, transcribeFile } from './transcription.js';
+
+export const JOB_STATUS = {
+    UPLOADING: 'uploading',
+    QUEUED: 'queued',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+};
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const STALE_JOB_MS = 2 * 60 * 1000;        // この間更新がなければ処理が止まったとみなす
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const PROMPT_CONTEXT_LENGTH = 100;         // 前パートから引き継ぐ文脈
+const PART_INDEX_PATTERN = /^\d+$/;
+
+// このプロセスで処理中のジョブ（二重実行を防ぐ）
+const runningJobs = new Set();
+let lastSweep = 0;
+
+/**
+ * ジョブを受け付ける設定か（処理するプロセスと、ジョブを失わないストアの両方が必要）
+ */
+export function isJobProcessingEnabled(env = process.env) {
+    return (env.JOB_WORKER || '').trim().toLowerCase() === 'inline' && isDurableJobStore(env);
+}
+
+export function assertJobProcessingEnabled() {
+    if (!isJobProcessingEnabled()) {
+        throw new ApiError(ERROR_CODES.JOBS_DISABLED, 'Transcription jobs are not enabled on this server');
+    }
+}
+
+function getAudioDir(env = process.env) {
+    return env.JOB_AUDIO_DIR || path.join(os.tmpdir(), 'voicescribe-jobs', 'audio');
+}
+
+function getTtlMs(env = process.env) {
+    const seconds = Number(env.JOB_TTL_SECONDS);
+    return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_TTL_SECONDS) * 1000;
+}
+
+/**
+ * アップロードされた一時ファイルをジョブのディレクトリへ移す
+ * （別のファイルシステムをまたぐ場合はrenameできないためコピーする）
+ */
+async function moveFile(source, destination) {
+    try {
+        await fs.promises.rename(source, destination);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(source, destination);
+        await fs.promises.unlink(source);
+    }
+}
+
+function removeJobAudio(id) {
+    return fs.promises.rm(path.join(getAudioDir(), id), { recursive: true, force: true });
+}
+
+/**
+ * パートの音声を受け取る前のジョブを作成して保存する（音声はaddJobPartで1つずつ追加）
+ *
+ * @param {Object} params
+ * @param {string} params.clientId - 作成したクライアント（レート制限・所有者の確認用）
+ * @param {Array} params.ranges - 各パートの元の音声内での位置 { start, end }（秒、パート順）
+ * @param {Object} params.options - readTranscriptionOptionsの戻り値
+ */
+export async function createJob({ clientId, ranges, options }) {
+    const parts = ranges.map((range, index) => ({
+        index,
+        filePath: null,
+        filename: null,
+        start: Number(range?.start) || 0,
+        end: Number(range?.end) || 0,
+        result: null,
+    }));
+
+    const now = Date.now();
+    const job = await getJobStore().create({
+        id: crypto.randomUUID(),
+        clientId,
+        status: JOB_STATUS.UPLOADING,
+        options,
+        parts,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        expiresAt: now + getTtlMs(),
+    });
+
+    sweepExpiredJobs().catch(error => console.error('Job sweep failed:', error));
+    return job;
+}
+
+/**
+ * ジョブを取得（期限切れ・他のユーザーのジョブは見つからない扱い）
+ */
+export async function getJob(id, clientId) {
+    const store = getJobStore();
+    const job = id ? await store.get(String(id)) : null;
+
+    if (job && job.expiresAt <= Date.now()) {
+        await deleteJob(job.id);
+        throw new ApiError(ERROR_CODES.NOT_FOUND, 'Job not found');
+    }
+    // トークン認証のユーザーは自分のジョブのみ参照できる（IP識別は回線の切り替えで変わるため確認しない）
+    if (!job || (job.clientId.startsWith('user:') && job.clientId !== clientId)) {
+        throw new ApiError(ERROR_CODES.NOT_FOUND, 'Job not found');
+    }
+    return job;
+}
+
+/**
+ * パートの音声を1つ追加し、すべて揃ったら処理待ちにする（処理はstartJobで開始）
+ * 同じパートの再送は上書きする（応答を受け取れずに再試行した場合）
+ *
+ * @param {Object} job - getJobの戻り値
+ * @param {string} index - パート番号（0始まり）
+ * @param {Object} file - formidableのファイル
+ */
+export async function addJobPart(job, index, file) {
+    if (job.status !== JOB_STATUS.UPLOADING) {
+        throw new ApiError(ERROR_CODES.BAD_REQUEST, 'Job is not accepting uploads');
+    }
+    const part = PART_INDEX_PATTERN.test(String(index)) ? job.parts[Number(index)] : null;
+    if (!part) {
+        throw new ApiError(ERROR_CODES.BAD_REQUEST, 'Invalid part index');
+    }
+
+    const dir = path.join(getAudioDir(), job.id);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const filename = file.originalFilename || `part-${part.index}`;
+    const filePath = path.join(dir, `part-${part.index}${path.extname(filename)}`);
+    await moveFile(file.filepath || file.path, filePath);
+    Object.assign(part, { filePath, filename });
+
+    const patch = { parts: job.parts };
+    if (job.parts.every(p => p.filePath)) {
+        patch.status = JOB_STATUS.QUEUED;
+    }
+    const updated = await getJobStore().update(job.id, patch);
+    if (!updated) {
+        throw new ApiError(ERROR_CODES.NOT_FOUND, 'Job not found');
+    }
+    return updated;
+}
+
+export async function deleteJob(id) {
+    await getJobStore().delete(id);
+    await removeJobAudio(id);
+}
+
+/**
+ * このプロセスでジョブの処理を開始（完了を待たない）
+ */
+export function startJob(job) {
+    if (runningJobs.has(job.id)) return;
+
+    runningJobs.add(job.id);
+    runJob(job)
+        .catch(error => console.error(`Job ${job.id} crashed:`, error))
+        .finally(() => runningJobs.delete(job.id));
+}
+
+/**
+ * 未完了のまま更新が止まったジョブを再開する
+ */
+export function ensureJobRunning(job) {
+    const unfinished = job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.PROCESSING;
+    if (unfinished && !runningJobs.has(job.id) && Date.now() - job.updatedAt > STALE_JOB_MS) {
+        console.warn(`Resuming stalled job ${job.id}`);
+        startJob(job);
+    }
+}
+
+async function runJob(initialJob) {
+    const store = getJobStore();
+    const { id, clientId, options } = initialJob;
+    const parts = initialJob.parts;
+
+    if (!await store.update(id, { status: JOB_STATUS.PROCESSING })) return;
+
+    try {
+        let context = '';
+        for (const part of parts) {
+            if (!part.result) {
+                // 前パート末尾を文脈として渡し、境界での表記揺れを抑える
+                const prompt = [options.prompt, context.slice(-PROMPT_CONTEXT_LENGTH)].filter(Boolean).join(' ');
+                const transcription = await transcribeFile({
+                    filePath: part.filePath,
+                    filename: part.filename,
+                    language: options.language,
+                    prompt,
+                    task: options.task,
+                });
+                await recordAudioUsage(clientId, Number(transcription.duration) || 0);
+                part.result = formatTranscriptionResult(transcription, { ...options, verbose: true });
+
+                // 途中結果の保存（更新時刻は処理が続いている目印にもなる）
+                if (!await store.update(id, { parts })) return;
+            }
+            context = part.result.text;
+        }
+
+        await store.update(id, { status: JOB_STATUS.COMPLETED });
+    } catch (error) {
+        console.error(`Job ${id} failed:`, error);
+        const apiError = toApiError(error);
+        await store.update(id, {
+            status: JOB_STATUS.FAILED,
+            error: { code: apiError.code, message: apiError.message },
+        });
+    }
+
+    await removeJobAudio(id);
+}
+
+/**
+ * 期限切れのジョブを削除（作成時にまとめて行う）
+ */
+async function sweepExpiredJobs() {
+    const now = Date.now();
+    if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = now;
+
+    const jobs = await getJobStore().list();
+    await Promise.all(jobs
+        .filter(job => job.expiresAt <= now)
+        .map(job => deleteJob(job.id)));
+}
+
+function getCompletedParts(job) {
+    return job.parts
+        .filter(part => part.result)
+        .map(({ index, start, end, result }) => ({ index, start, end, ...result }));
+}
+
+/**
+ * クライアント向けのジョブ表現（ファイルパス・クライアントIDは含めない）
+ * partsには完了したパートの途中結果が入り、完了時はresultに全体をまとめる
+ */
+export function serializeJob(job) {
+    const completedParts = getCompletedParts(job);
+
+    const body = {
+        id: job.id,
+        status: job.status,
+        task: job.options.task,
+        progress: { completed: completedParts.length, total: job.parts.length },
+        parts: completedParts,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+    };
+    if (job.error) {
+        body.error = job.error;
+    }
+    if (job.status === JOB_STATUS.COMPLETED) {
+        body.result = serializeJobResult(job);
+    }
+    return body;
+}
+
+/**
+ * 完了したジョブの結果（パートの本文は単純に連結、重なりの除去はクライアントが行う）
+ */
+export function serializeJobResult(job) {
+    const parts = getCompletedParts(job);
+    return {
+        task: job.options.task,
+        text: parts.map(part => part.text).filter(Boolean).join('\n'),
+        language: parts.find(part => part.language)?.language || job.options.language,
+        parts,
+    };
+}
@@ -0,0 +1,39 @@
+/**
+ * VoiceScribe AI - Groq Chat Provider
+ *
+ * 環境変数:
+ *   GROQ_API_KEY     - APIキー（必須）
+ *   GROQ_CHAT_MODEL  - モデル（既定: llama-3.3-70b-versatile）
+ */
+
+import Groq from 'groq-sdk';
+
+const DEFAULT_MODEL = 'llama-3.3-70b-versatile';
+
+export function createGroqChatProvider(env = process.env) {
+    const model = env.GROQ_CHAT_MODEL || DEFAULT_MODEL;
+    let client = null;
+
+    // 再試行はretry.jsで行うためSDK側では再試行しない
+    function getClient() {
+        if (!client) {
+            client = new Groq({ apiKey: env.GROQ_API_KEY, maxRetries: 0 });
+        }
+        return client;
+    }
+
+    return {
+        name: 'groq',
+        model,
+
+        async complete({ messages, json = false, temperature = 0.2 }) {
+            const completion = await getClient().chat.completions.create({
+                model,
+                messages,
+                temperature,
+                ...(json ? { response_format: { type: 'json_object' } } : {}),
+            });
+            return completion.choices[0]?.message?.content || '';
+        },
+    };
+}
@@ -0,0 +1,35 @@
+/**
+ * VoiceScribe AI - LLM Providers
+ * LLM_PROVIDER 環境変数で要約などに使うチャットモデルの実行先を切り替える
+ *   groq（既定） / openai（OpenAI互換サーバー） / mock（ネットワーク不要）
+ *
+ * プロバイダーは complete({ messages, json, temperature }) を実装し、応答本文の文字列を返す
+ * jsonがtrueの場合はJSONオブジェクトのみを返すよう指示する
+ */
+
+import { createGroqChatProvider } from './groq.js';
+import { createOpenAICompatibleChatProvider } from './openai-compatible.js';
+import { createMockChatProvider } from './mock.js';
+
+const PROVIDER_FACTORIES = {
+    groq: createGroqChatProvider,
+    openai: createOpenAICompatibleChatProvider,
+    mock: createMockChatProvider,
+};
+
+const DEFAULT_PROVIDER = 'groq';
+
+let cachedProvider = null;
+
+export function getChatProvider(env = process.env) {
+    if (cachedProvider) return cachedProvider;
+
+    const name = (env.LLM_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    cachedProvider = factory(env);
+    return cachedProvider;
+}
@@ -0,0 +1,46 @@
+/**
+ * VoiceScribe AI - Mock Chat Provider
+ * ネットワークに接続せず、文字起こしの文から決まった形の要約JSONを組み立てる（ローカル開発・動作確認用）
+ * 同じ入力からは常に同じ結果になる
+ */
+
+const TITLE_LENGTH = 30;
+const MAX_ITEMS = 3;
+
+// 決定事項・タスクらしい文を拾うための手がかり
+const DECISION_PATTERN = /決定|決ま|合意|承認|decid|agreed|approved/i;
+const ACTION_PATTERN = /します|しておく|お願い|対応|確認する|担当|will |todo|to do|follow up/i;
+const OWNER_PATTERN = /([\p{L}]{1,10})さん|@(\w+)/u;
+
+function splitSentences(text) {
+    return (text.match(/[^。．.!?！？\n]+[。．.!?！？]?/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+export function createMockChatProvider() {
+    return {
+        name: 'mock',
+        model: 'mock',
+
+        async complete({ messages }) {
+            // 最後のユーザーメッセージを文字起こし本文として扱う
+            const transcript = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+            const sentences = splitSentences(transcript);
+
+            const summary = {
+                title: (sentences[0] || 'モックの要約').slice(0, TITLE_LENGTH),
+                keyPoints: sentences.slice(0, MAX_ITEMS),
+                decisions: sentences.filter(sentence => DECISION_PATTERN.test(sentence)).slice(0, MAX_ITEMS),
+                actionItems: sentences
+                    .filter(sentence => ACTION_PATTERN.test(sentence))
+                    .slice(0, MAX_ITEMS)
+                    .map((sentence) => {
+                        const owner = OWNER_PATTERN.exec(sentence);
+                        return { task: sentence, owner: owner ? owner[1] || owner[2] : null, due: null };
+                    }),
+            };
+            return JSON.stringify(summary);
+        },
+    };
+}
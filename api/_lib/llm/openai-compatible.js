@@ -0,0 +1,52 @@
+/**
+ * VoiceScribe AI - OpenAI-compatible Chat Provider
+ * /v1/chat/completions を実装したサーバー（OpenAI本家、Ollama、vLLM、LM Studio など）
+ *
+ * 環境変数:
+ *   OPENAI_BASE_URL    - APIのベースURL（既定: https://api.openai.com/v1、文字起こしと共通）
+ *   OPENAI_API_KEY     - APIキー（セルフホストで不要なら省略可）
+ *   OPENAI_CHAT_MODEL  - モデル（既定: gpt-4o-mini）
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+export function createOpenAICompatibleChatProvider(env = process.env) {
+    const baseUrl = (env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const model = env.OPENAI_CHAT_MODEL || DEFAULT_MODEL;
+    const apiKey = env.OPENAI_API_KEY;
+
+    return {
+        name: 'openai',
+        model,
+
+        async complete({ messages, json = false, temperature = 0.2 }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            const response = await fetch(`${baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model,
+                    messages,
+                    temperature,
+                    ...(json ? { response_format: { type: 'json_object' } } : {}),
+                }),
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                const error = new Error(errorData.error?.message || errorData.error || `Provider error: ${response.status}`);
+                error.status = response.status;
+                error.headers = Object.fromEntries(response.headers);
+                throw error;
+            }
+
+            const completion = await response.json();
+            return completion.choices?.[0]?.message?.content || '';
+        },
+    };
+}
@@ -0,0 +1,50 @@
+/**
+ * VoiceScribe AI - Groq Provider
+ * Groq API (whisper-large-v3) で文字起こし・英語翻訳
+ *
+ * 環境変数:
+ *   GROQ_API_KEY              - APIキー（必須）
+ *   GROQ_TRANSCRIPTION_MODEL  - モデル（既定: whisper-large-v3）
+ */
+
+import Groq from 'groq-sdk';
+import fs from 'fs';
+
+const DEFAULT_MODEL = 'whisper-large-v3';
+
+export function createGroqProvider(env = process.env) {
+    const model = env.GROQ_TRANSCRIPTION_MODEL || DEFAULT_MODEL;
+    let client = null;
+
+    // APIキー未設定でも読み込めるよう、クライアントは初回呼び出し時に作成
+    // 再試行はretry.jsで行うためSDK側では再試行しない
+    function getClient() {
+        if (!client) {
+            client = new Groq({ apiKey: env.GROQ_API_KEY, maxRetries: 0 });
+        }
+        return client;
+    }
+
+    return {
+        name: 'groq',
+
+        async transcribe({ filePath, language, prompt, verbose, task }) {
+            const options = {
+                file: fs.createReadStream(filePath),
+                model,
+                response_format: verbose ? 'verbose_json' : 'json',
+            };
+            if (language) {
+                options.language = language;
+            }
+            if (prompt) {
+                options.prompt = prompt;
+            }
+
+            const groq = getClient();
+            return task === 'translate'
+                ? groq.audio.translations.create(options)
+                : groq.audio.transcriptions.create(options);
+        },
+    };
+}
@@ -0,0 +1,38 @@
+/**
+ * VoiceScribe AI - Transcription Providers
+ * TRANSCRIPTION_PROVIDER 環境変数で文字起こしの実行先を切り替える
+ *   groq（既定） / openai（OpenAI互換サーバー） / mock（ネットワーク不要）
+ *
+ * プロバイダーは transcribe({ filePath, filename, language, prompt, verbose, task }) を実装し、
+ * Whisper APIと同じ形式（text・language、verbose時はduration・segments）を返す
+ */
+
+import { createGroqProvider } from './groq.js';
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+import { createMockProvider } from './mock.js';
+
+const PROVIDER_FACTORIES = {
+    groq: createGroqProvider,
+    openai: createOpenAICompatibleProvider,
+    mock: createMockProvider,
+};
+
+const DEFAULT_PROVIDER = 'groq';
+
+let cachedProvider = null;
+
+/**
+ * 環境変数で指定されたプロバイダーを返す（プロセス内で使い回す）
+ */
+export function getTranscriptionProvider(env = process.env) {
+    if (cachedProvider) return cachedProvider;
+
+    const name = (env.TRANSCRIPTION_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown transcription provider: ${name}`);
+    }
+
+    cachedProvider = factory(env);
+    return cachedProvider;
+}
@@ -0,0 +1,63 @@
+/**
+ * VoiceScribe AI - Mock Provider
+ * ネットワークに接続せず、決まった結果を返す（ローカル開発・動作確認用）
+ * 同じ音声ファイル・同じ指定からは常に同じ結果になる
+ *
+ * 環境変数:
+ *   MOCK_TRANSCRIPTION_TEXT  - 返す本文（省略時は定型文を音声の長さに合わせて並べる）
+ */
+
+import fs from 'fs';
+
+// 音声の長さはファイルサイズから推定（約32kbpsのOpus相当）
+const BYTES_PER_SECOND = 4000;
+const SECONDS_PER_SEGMENT = 5;
+
+const SENTENCES = {
+    ja: [
+        'これはモックの文字起こしです。',
+        '実際の音声は解析していません。',
+        '録音から履歴までの流れを確認できます。',
+    ],
+    en: [
+        'This is a mock transcription.',
+        'The audio was not actually analyzed.',
+        'Use it to check the flow from recording to history.',
+    ],
+};
+
+export function createMockProvider(env = process.env) {
+    const fixedText = env.MOCK_TRANSCRIPTION_TEXT;
+
+    return {
+        name: 'mock',
+
+        async transcribe({ filePath, language, verbose, task }) {
+            const { size } = await fs.promises.stat(filePath);
+            const duration = Math.max(1, Math.round(size / BYTES_PER_SECOND));
+            const outputLanguage = task === 'translate' ? 'en' : (language || 'ja');
+            const sentences = SENTENCES[outputLanguage] || SENTENCES.en;
+
+            // 固定本文の場合は1セグメントにまとめる
+            const segmentTexts = fixedText
+                ? [fixedText]
+                : Array.from({ length: Math.ceil(duration / SECONDS_PER_SEGMENT) }, (_, i) => sentences[i % sentences.length]);
+            const segmentLength = duration / segmentTexts.length;
+            const segments = segmentTexts.map((text, i) => ({
+                start: i * segmentLength,
+                end: (i + 1) * segmentLength,
+                text,
+                avg_logprob: -0.1,
+                no_speech_prob: 0,
+            }));
+
+            const separator = outputLanguage === 'ja' ? '' : ' ';
+            const result = { text: segmentTexts.join(separator), language: outputLanguage };
+            if (verbose) {
+                result.duration = duration;
+                result.segments = segments;
+            }
+            return result;
+        },
+    };
+}
@@ -0,0 +1,60 @@
+/**
+ * VoiceScribe AI - OpenAI-compatible Provider
+ * /v1/audio/transcriptions・/v1/audio/translations を実装したサーバーで文字起こし
+ * （OpenAI本家、whisper.cpp server、faster-whisper-server など）
+ *
+ * 環境変数:
+ *   OPENAI_BASE_URL             - APIのベースURL（既定: https://api.openai.com/v1）
+ *   OPENAI_API_KEY              - APIキー（セルフホストで不要なら省略可）
+ *   OPENAI_TRANSCRIPTION_MODEL  - モデル（既定: whisper-1）
+ *
+ * whisper.cppのserverは --inference-path /v1/audio/transcriptions で起動する
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'whisper-1';
+
+export function createOpenAICompatibleProvider(env = process.env) {
+    const baseUrl = (env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const model = env.OPENAI_TRANSCRIPTION_MODEL || DEFAULT_MODEL;
+    const apiKey = env.OPENAI_API_KEY;
+
+    return {
+        name: 'openai',
+
+        async transcribe({ filePath, filename, language, prompt, verbose, task }) {
+            const buffer = await fs.promises.readFile(filePath);
+            const formData = new FormData();
+            formData.append('file', new Blob([buffer]), filename || path.basename(filePath));
+            formData.append('model', model);
+            formData.append('response_format', verbose ? 'verbose_json' : 'json');
+            if (language) {
+                formData.append('language', language);
+            }
+            if (prompt) {
+                formData.append('prompt', prompt);
+            }
+
+            const endpoint = task === 'translate' ? 'translations' : 'transcriptions';
+            const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+            const response = await fetch(`${baseUrl}/audio/${endpoint}`, {
+                method: 'POST',
+                headers,
+                body: formData,
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                const error = new Error(errorData.error?.message || errorData.error || `Provider error: ${response.status}`);
+                error.status = response.status;
+                error.headers = Object.fromEntries(response.headers);
+                throw error;
+            }
+
+            return response.json();
+        },
+    };
+}
@@ -0,0 +1,84 @@
+/**
+ * VoiceScribe AI - Rate Limiting
+ * クライアントごとのリクエスト数（固定ウィンドウ）と1日あたりの音声分数を制限する
+ * カウンターはcounter-storesで差し替えられる
+ *
+ * 環境変数:
+ *   RATE_LIMIT_REQUESTS        - ウィンドウあたりのリクエスト数（既定: 20、0で無制限）
+ *   RATE_LIMIT_WINDOW_SECONDS  - ウィンドウの長さ（既定: 60）
+ *   DAILY_AUDIO_MINUTES        - 1日（UTC）あたりの音声分数（既定: 0 = 無制限）
+ */
+
+import { ApiError, ERROR_CODES } from './errors.js';
+import { getCounterStore } from './counter-stores/index.js';
+
+const DEFAULT_REQUESTS = 20;
+const DEFAULT_WINDOW_SECONDS = 60;
+const DAY_SECONDS = 24 * 60 * 60;
+
+function readNumber(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+function getLimits(env = process.env) {
+    return {
+        requests: readNumber(env.RATE_LIMIT_REQUESTS, DEFAULT_REQUESTS),
+        windowSeconds: readNumber(env.RATE_LIMIT_WINDOW_SECONDS, DEFAULT_WINDOW_SECONDS) || DEFAULT_WINDOW_SECONDS,
+        dailyAudioMinutes: readNumber(env.DAILY_AUDIO_MINUTES, 0),
+    };
+}
+
+/**
+ * UTCの日付キーと、日付が変わるまでの秒数
+ */
+function getDay(now = Date.now()) {
+    const day = Math.floor(now / 1000 / DAY_SECONDS);
+    return { key: String(day), secondsLeft: (day + 1) * DAY_SECONDS - now / 1000 };
+}
+
+/**
+ * リクエスト数を数え、上限を超えていれば429を投げる
+ */
+export async function checkRateLimit(clientId) {
+    const { requests, windowSeconds } = getLimits();
+    if (!requests) return;
+
+    const now = Date.now() / 1000;
+    const window = Math.floor(now / windowSeconds);
+    const count = await getCounterStore().increment(`requests:${clientId}:${window}`, 1, windowSeconds);
+
+    if (count > requests) {
+        throw new ApiError(ERROR_CODES.RATE_LIMITED, 'Too many requests', {
+            retryAfter: (window + 1) * windowSeconds - now,
+        });
+    }
+}
+
+/**
+ * 本日の音声分数が上限に達していれば429を投げる（処理前に確認）
+ */
+export async function checkAudioQuota(clientId) {
+    const { dailyAudioMinutes } = getLimits();
+    if (!dailyAudioMinutes) return;
+
+    const day = getDay();
+    const usedSeconds = await getCounterStore().get(`audio:${clientId}:${day.key}`);
+
+    if (usedSeconds >= dailyAudioMinutes * 60) {
+        throw new ApiError(ERROR_CODES.QUOTA_EXCEEDED, 'Daily audio limit reached', {
+            retryAfter: day.secondsLeft,
+        });
+    }
+}
+
+/**
+ * 処理した音声の長さを本日の利用量に加算
+ */
+export async function recordAudioUsage(clientId, seconds) {
+    const { dailyAudioMinutes } = getLimits();
+    if (!dailyAudioMinutes || !(seconds > 0)) return;
+
+    const day = getDay();
+    await getCounterStore().increment(`audio:${clientId}:${day.key}`, seconds, Math.ceil(day.secondsLeft));
+}
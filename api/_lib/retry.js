@@ -0,0 +1,55 @@
+/**
+ * VoiceScribe AI - Retry with Backoff
+ * プロバイダーの429・5xx・接続エラーを指数バックオフで再試行する
+ * Retry-Afterが指定されていればその時間だけ待つ
+ */
+
+import { getRetryAfter, isRetryableError } from './errors.js';
+
+// サーバーレス関数の実行時間内に収まるよう待機時間には上限を設ける
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BASE_DELAY_MS = 500;
+const DEFAULT_MAX_DELAY_MS = 8000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * fnを実行し、再試行可能な失敗なら待ってから再実行する
+ * 上限を超える待機を求められた場合は再試行せずにそのまま投げる（クライアントが後で再送する）
+ *
+ * @param {Function} fn - (attempt) => Promise
+ * @param {Object} [options]
+ * @param {number} [options.retries] - 再試行回数
+ * @param {number} [options.baseDelayMs] - 初回の待機時間（試行ごとに2倍）
+ * @param {number} [options.maxDelayMs] - 1回あたりの待機時間の上限
+ */
+export async function withRetry(fn, {
+    retries = DEFAULT_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    maxDelayMs = DEFAULT_MAX_DELAY_MS,
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !isRetryableError(error)) {
+                throw error;
+            }
+
+            const retryAfter = getRetryAfter(error);
+            let delay;
+            if (retryAfter !== undefined) {
+                delay = retryAfter * 1000;
+            } else {
+                // 同時に失敗したリクエストが一斉に再送しないよう揺らぎを加える
+                delay = baseDelayMs * 2 ** attempt * (0.5 + Math.random() / 2);
+            }
+            if (delay > maxDelayMs) {
+                throw error;
+            }
+
+            console.warn(`Provider request failed (${error.status || error.code || error.name}), retrying in ${Math.round(delay)}ms`);
+            await sleep(delay);
+        }
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * VoiceScribe AI - Transcript Summary
+ * 文字起こしをLLMに渡し、タイトル・要点・決定事項・アクションアイテムを構造化して返す
+ */
+
+import { getChatProvider } from './llm/index.js';
+import { ApiError, ERROR_CODES } from './errors.js';
+import { withRetry } from './retry.js';
+
+const MAX_ITEMS = 20;
+const TITLE_LENGTH = 60;
+
+// 出力言語の指定（未知の言語コードは文字起こしと同じ言語で書かせる）
+const LANGUAGE_NAMES = {
+    ja: 'Japanese',
+    en: 'English',
+    zh: 'Chinese',
+    ko: 'Korean',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German',
+};
+
+function buildSystemPrompt(language) {
+    const outputLanguage = LANGUAGE_NAMES[language] || 'the same language as the transcript';
+    return [
+        'You summarize meeting and voice-memo transcripts produced by speech recognition.',
+        'The transcript may contain recognition errors; infer the intended meaning but do not invent facts.',
+        `Write every value in ${outputLanguage}.`,
+        'Respond with a single JSON object and nothing else, using exactly these keys:',
+        '{"title": string (at most 30 characters),',
+        ' "keyPoints": string[] (the main points, in order),',
+        ' "decisions": string[] (decisions that were made; empty if none),',
+        ' "actionItems": [{"task": string, "owner": string|null, "due": string|null}] (owner and due only if stated)}',
+    ].join('\n');
+}
+
+/**
+ * 応答からJSONオブジェクトを取り出す（コードブロックや前置きが付く場合がある）
+ */
+function parseJsonObject(content) {
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+        return JSON.parse(content.slice(start, end + 1));
+    } catch {
+        return null;
+    }
+}
+
+function toStringList(value) {
+    if (!Array.isArray(value)) return [];
+    return value
+        .map(item => (typeof item === 'string' ? item : item?.text || '').trim())
+        .filter(Boolean)
+        .slice(0, MAX_ITEMS);
+}
+
+function toOptionalString(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * モデルの出力を決まった形に揃える（欠けた項目は空にする）
+ */
+function normalizeSummary(raw) {
+    const actionItems = Array.isArray(raw.actionItems) ? raw.actionItems : [];
+    return {
+        title: toOptionalString(raw.title)?.slice(0, TITLE_LENGTH) || '',
+        keyPoints: toStringList(raw.keyPoints),
+        decisions: toStringList(raw.decisions),
+        actionItems: actionItems
+            .map(item => (typeof item === 'string' ? { task: item } : item || {}))
+            .map(item => ({
+                task: toOptionalString(item.task) || '',
+                owner: toOptionalString(item.owner),
+                due: toOptionalString(item.due),
+            }))
+            .filter(item => item.task)
+            .slice(0, MAX_ITEMS),
+    };
+}
+
+/**
+ * 文字起こしを要約する
+ * @param {string} text - 文字起こし本文
+ * @param {string|null} language - 文字起こしの言語コード（要約も同じ言語で書く）
+ */
+export async function summarizeTranscript(text, language) {
+    const provider = getChatProvider();
+    const content = await withRetry(() => provider.complete({
+        messages: [
+            { role: 'system', content: buildSystemPrompt(language) },
+            { role: 'user', content: text },
+        ],
+        json: true,
+    }));
+
+    const raw = parseJsonObject(content);
+    if (!raw) {
+        throw new ApiError(ERROR_CODES.PROVIDER_UNAVAILABLE, 'Invalid summary response', { status: 502 });
+    }
+
+    return {
+        ...normalizeSummary(raw),
+        provider: provider.name,
+        model: provider.model,
+    };
+}
@@ -0,0 +1,163 @@
+/**
+ * VoiceScribe AI - Transcription Helpers
+ * /api/transcribe と /api/jobs で共通のフォーム解析・オプション解釈・結果整形
+ */
+
+import formidable from 'formidable';
+import { getTranscriptionProvider } from './providers/index.js';
+import { withRetry } from './retry.js';
+
+// 1ファイルあたりの上限（Whisper APIの25MB制限）
+export const MAX_FILE_SIZE = 25 * 1024 * 1024;
+
+// 言語未指定の旧クライアントは従来どおり日本語として扱う
+const DEFAULT_LANGUAGE = 'ja';
+const AUTO_LANGUAGE = 'auto';
+
+// Whisperの翻訳タスクは英語のみ出力する
+export const TASK_TRANSCRIBE = 'transcribe';
+export const TASK_TRANSLATE = 'translate';
+const TRANSLATION_LANGUAGE = 'en';
+
+// verbose_jsonのlanguageは言語名で返るためISO-639-1コードに揃える
+const LANGUAGE_NAME_TO_CODE = {
+    japanese: 'ja',
+    english: 'en',
+    chinese: 'zh',
+    korean: 'ko',
+    spanish: 'es',
+    french: 'fr',
+    german: 'de',
+    italian: 'it',
+    portuguese: 'pt',
+    russian: 'ru',
+    vietnamese: 'vi',
+    thai: 'th',
+    indonesian: 'id',
+};
+
+/**
+ * ファイルアップロードを解析
+ * maxTotalFileSizeは複数ファイルをまとめて受け取る場合の合計上限
+ */
+export function parseForm(req, { maxTotalFileSize = MAX_FILE_SIZE } = {}) {
+    return new Promise((resolve, reject) => {
+        const form = formidable({
+            maxFileSize: MAX_FILE_SIZE,
+            maxTotalFileSize,
+            keepExtensions: true,
+        });
+
+        form.parse(req, (err, fields, files) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve({ fields, files });
+            }
+        });
+    });
+}
+
+/**
+ * formidableのフィールド値を取得（配列で返る場合がある）
+ */
+export function getField(fields, name) {
+    const value = fields[name];
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * アップロードされたファイルを配列で取得（formidableのバージョンにより単体で返る）
+ */
+export function getFiles(files, name) {
+    const value = files[name];
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * リクエストの言語指定を解釈（auto・不正値は自動検出としてnullを返す）
+ */
+function parseLanguage(value) {
+    if (value === undefined || value === '') return DEFAULT_LANGUAGE;
+    const code = String(value).trim().toLowerCase();
+    if (code === AUTO_LANGUAGE || !/^[a-z]{2,3}$/.test(code)) return null;
+    return code;
+}
+
+/**
+ * 検出された言語（名前またはコード）をISO-639-1コードに正規化
+ */
+function normalizeLanguage(language) {
+    if (!language) return null;
+    const value = String(language).trim().toLowerCase();
+    return LANGUAGE_NAME_TO_CODE[value] || (/^[a-z]{2,3}$/.test(value) ? value : null);
+}
+
+/**
+ * verbose_jsonのセグメントをクライアント向けに正規化
+ */
+function normalizeSegments(segments) {
+    if (!Array.isArray(segments)) return [];
+
+    return segments.map((segment) => ({
+        start: Number(segment.start) || 0,
+        end: Number(segment.end) || 0,
+        text: (segment.text || '').trim(),
+        avg_logprob: Number(segment.avg_logprob) || 0,
+        no_speech_prob: Number(segment.no_speech_prob) || 0,
+    }));
+}
+
+/**
+ * フォーム項目から文字起こしのオプションを読み取る
+ */
+export function readTranscriptionOptions(fields) {
+    // 翻訳タスクか（それ以外は通常の文字起こし）
+    const task = getField(fields, 'task') === TASK_TRANSLATE ? TASK_TRANSLATE : TASK_TRANSCRIBE;
+
+    return {
+        task,
+        // 言語（nullなら自動検出、翻訳タスクでは出力が英語固定のため指定しない）
+        language: task === TASK_TRANSLATE ? null : parseLanguage(getField(fields, 'language')),
+        // プロンプト（キーワードリスト、専門用語のヒント）
+        prompt: (getField(fields, 'prompt') || '').trim(),
+        // verbose_jsonを指定された場合のみタイムスタンプ付きで返す
+        verbose: getField(fields, 'response_format') === 'verbose_json',
+    };
+}
+
+/**
+ * 1ファイルをプロバイダーで文字起こし（429・5xxはバックオフして再試行）
+ * 利用量の計測に音声の長さが必要なため、常にverbose_jsonで取得する
+ */
+export function transcribeFile({ filePath, filename, language, prompt, task }) {
+    const provider = getTranscriptionProvider();
+    return withRetry(() => provider.transcribe({
+        filePath,
+        filename,
+        language,
+        prompt,
+        verbose: true,
+        task,
+    }));
+}
+
+/**
+ * プロバイダーの応答をクライアント向けの結果に整形
+ */
+export function formatTranscriptionResult(transcription, { task, language, verbose }) {
+    const result = {
+        task,
+        text: transcription.text || '',
+        // 検出言語はverbose_jsonでのみ返るため、それ以外は指定言語を返す
+        language: task === TASK_TRANSLATE
+            ? TRANSLATION_LANGUAGE
+            : normalizeLanguage(transcription.language) || language,
+    };
+    if (verbose) {
+        result.duration = Number(transcription.duration) || 0;
+        result.segments = normalizeSegments(transcription.segments);
+    }
+    return result;
+}
@@ -0,0 +1,91 @@
+/**
+ * VoiceScribe AI - Transcription Job Status API
+ * Vercel Serverless Function
+ *
+ * GET /api/jobs/:id     - 状態と途中結果（Accept: text/event-stream なら更新をSSEで配信）
+ * DELETE /api/jobs/:id  - ジョブを削除（結果を取り込んだ後に呼ぶ）
+ */
+
+import { ApiError, ERROR_CODES, sendError } from '../../_lib/errors.js';
+import { applyCors } from '../../_lib/cors.js';
+import { authenticate } from '../../_lib/auth.js';
+import { getJobStore } from '../../_lib/job-stores/index.js';
+import { JOB_STATUS, deleteJob, ensureJobRunning, getJob, serializeJob } from '../../_lib/jobs.js';
+
+// SSEは関数の実行時間内で切り上げ、クライアントに再接続させる
+const STREAM_POLL_MS = 1000;
+const STREAM_MAX_MS = 25 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isFinished(job) {
+    return job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED;
+}
+
+/**
+ * 状態が変わるたびにstatusイベントを送る（完了・失敗で終了）
+ */
+async function streamJob(req, res, job) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+
+    let closed = false;
+    req.on('close', () => { closed = true; });
+
+    const startedAt = Date.now();
+    let lastUpdatedAt = null;
+    let current = job;
+
+    while (!closed && current) {
+        if (current.updatedAt !== lastUpdatedAt) {
+            lastUpdatedAt = current.updatedAt;
+            res.write(`event: status\ndata: ${JSON.stringify(serializeJob(current))}\n\n`);
+        }
+        if (isFinished(current) || Date.now() - startedAt > STREAM_MAX_MS) break;
+
+        await sleep(STREAM_POLL_MS);
+        current = await getJobStore().get(job.id);
+    }
+    res.end();
+}
+
+export default async function handler(req, res) {
+    const originAllowed = applyCors(req, res, 'GET, DELETE, OPTIONS');
+    if (!originAllowed) {
+        return sendError(res, new ApiError(ERROR_CODES.FORBIDDEN, 'Origin not allowed'));
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        // 状態の確認はレート制限の対象外（ポーリングで上限に達しないように）
+        const { clientId } = authenticate(req);
+        const job = await getJob(req.query.id, clientId);
+
+        if (req.method === 'DELETE') {
+            await deleteJob(job.id);
+            return res.status(200).json({ success: true });
+        }
+
+        if (req.method !== 'GET') {
+            return sendError(res, new ApiError(ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed'));
+        }
+
+        ensureJobRunning(job);
+
+        if ((req.headers.accept || '').includes('text/event-stream')) {
+            return streamJob(req, res, job);
+        }
+        // ポーリングの応答がキャッシュされると状態が更新されなくなる
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json({ success: true, ...serializeJob(job) });
+
+    } catch (error) {
+        return sendError(res, error);
+    }
+}
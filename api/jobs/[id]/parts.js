@@ -0,0 +1,70 @@
+/**
+ * VoiceScribe AI - Transcription Job Parts API
+ * Vercel Serverless Function
+ *
+ * POST /api/jobs/:id/parts?index=N - ジョブのパートの音声を1つアップロード
+ *   audio - 音声ファイル（上限は /api/transcribe と同じ）
+ *   すべてのパートが揃うと処理を開始する
+ */
+
+import fs from 'fs';
+import { ApiError, ERROR_CODES, sendError } from '../../_lib/errors.js';
+import { applyCors } from '../../_lib/cors.js';
+import { authenticate } from '../../_lib/auth.js';
+import { getFiles, parseForm } from '../../_lib/transcription.js';
+import { JOB_STATUS, addJobPart, assertJobProcessingEnabled, getJob, serializeJob, startJob } from '../../_lib/jobs.js';
+
+// Body parserを無効化（multipart/form-data対応）
+export const config = {
+    api: {
+        bodyParser: false,
+    },
+};
+
+export default async function handler(req, res) {
+    const originAllowed = applyCors(req, res);
+    if (!originAllowed) {
+        return sendError(res, new ApiError(ERROR_CODES.FORBIDDEN, 'Origin not allowed'));
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return sendError(res, new ApiError(ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed'));
+    }
+
+    let files = [];
+    try {
+        // パート数はジョブの作成時に制限済みのため、レート制限は作成時のみ
+        const { clientId } = authenticate(req);
+        assertJobProcessingEnabled();
+        const job = await getJob(req.query.id, clientId);
+
+        const { files: uploaded } = await parseForm(req);
+        files = Object.values(uploaded).flat();
+        const [audio] = getFiles(uploaded, 'audio');
+
+        if (!audio) {
+            throw new ApiError(ERROR_CODES.BAD_REQUEST, 'No audio file provided');
+        }
+        if (!audio.size) {
+            throw new ApiError(ERROR_CODES.EMPTY_AUDIO, 'Audio file is empty');
+        }
+
+        const updated = await addJobPart(job, req.query.index, audio);
+        if (updated.status === JOB_STATUS.QUEUED) {
+            startJob(updated);
+        }
+
+        return res.status(200).json({ success: true, ...serializeJob(updated) });
+
+    } catch (error) {
+        console.error('Job part upload error:', error);
+        return sendError(res, error);
+    } finally {
+        // ジョブに移せなかった一時ファイルを削除（移したファイルは既に存在しない）
+        files.forEach(file => fs.unlink(file.filepath || file.path, () => { }));
+    }
+}
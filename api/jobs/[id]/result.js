@@ -0,0 +1,50 @@
+/**
+ * VoiceScribe AI - Transcription Job Result API
+ * Vercel Serverless Function
+ *
+ * GET /api/jobs/:id/result - 完了したジョブの結果
+ *   未完了なら409（job_not_ready）、失敗したジョブは処理時のエラーコードで返す
+ */
+
+import { ApiError, ERROR_CODES, sendError } from '../../_lib/errors.js';
+import { applyCors } from '../../_lib/cors.js';
+import { authenticate } from '../../_lib/auth.js';
+import { JOB_STATUS, ensureJobRunning, getJob, serializeJobResult } from '../../_lib/jobs.js';
+
+// 未完了時に次の確認まで待つ目安（秒）
+const NOT_READY_RETRY_AFTER = 2;
+
+export default async function handler(req, res) {
+    const originAllowed = applyCors(req, res, 'GET, OPTIONS');
+    if (!originAllowed) {
+        return sendError(res, new ApiError(ERROR_CODES.FORBIDDEN, 'Origin not allowed'));
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return sendError(res, new ApiError(ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed'));
+    }
+
+    try {
+        const { clientId } = authenticate(req);
+        const job = await getJob(req.query.id, clientId);
+
+        if (job.status === JOB_STATUS.FAILED) {
+            throw new ApiError(job.error?.code || ERROR_CODES.INTERNAL, job.error?.message || 'Job failed');
+        }
+        if (job.status !== JOB_STATUS.COMPLETED) {
+            ensureJobRunning(job);
+            throw new ApiError(ERROR_CODES.JOB_NOT_READY, 'Job is not finished yet', {
+                retryAfter: NOT_READY_RETRY_AFTER,
+            });
+        }
+
+        return res.status(200).json({ success: true, ...serializeJobResult(job) });
+
+    } catch (error) {
+        return sendError(res, error);
+    }
+}
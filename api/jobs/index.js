@@ -0,0 +1,94 @@
+/**
+ * VoiceScribe AI - Transcription Jobs API
+ * Vercel Serverless Function
+ *
+ * GET /api/jobs  - このサーバーがジョブを受け付けるか { enabled }
+ * POST /api/jobs - 音声を受け取る前のジョブを作成し、201でジョブIDを返す
+ *   フォーム項目は /api/transcribe と同じ（language・prompt・task）
+ *   ranges   - 各パートの元の音声内での位置 [{ start, end }]（秒、JSON、パート数もこれで決まる）
+ *
+ * 音声は POST /api/jobs/:id/parts で1パートずつ送り、揃うと処理を開始する
+ * 状態は GET /api/jobs/:id、最終結果は GET /api/jobs/:id/result で取得する
+ * ジョブが無効なサーバー（JOB_WORKER未設定）ではPOSTにjobs_disabledを返す
+ */
+
+import fs from 'fs';
+import { ApiError, ERROR_CODES, sendError } from '../_lib/errors.js';
+import { applyCors } from '../_lib/cors.js';
+import { authenticate } from '../_lib/auth.js';
+import { checkAudioQuota, checkRateLimit } from '../_lib/rate-limit.js';
+import { getField, parseForm, readTranscriptionOptions } from '../_lib/transcription.js';
+import { assertJobProcessingEnabled, createJob, isJobProcessingEnabled, serializeJob } from '../_lib/jobs.js';
+
+// Body parserを無効化（multipart/form-data対応）
+export const config = {
+    api: {
+        bodyParser: false,
+    },
+};
+
+// 1ジョブのパート数の上限（既定100、10分のパートで約16時間）
+const DEFAULT_MAX_JOB_PARTS = 100;
+
+function parseRanges(value) {
+    let ranges;
+    try {
+        ranges = JSON.parse(value);
+    } catch {
+        ranges = null;
+    }
+    if (!Array.isArray(ranges) || ranges.length === 0) {
+        throw new ApiError(ERROR_CODES.BAD_REQUEST, 'Invalid ranges');
+    }
+    if (ranges.length > (Number(process.env.JOB_MAX_PARTS) || DEFAULT_MAX_JOB_PARTS)) {
+        throw new ApiError(ERROR_CODES.TOO_LARGE, 'Too many parts');
+    }
+    return ranges;
+}
+
+export default async function handler(req, res) {
+    const originAllowed = applyCors(req, res, 'GET, POST, OPTIONS');
+    if (!originAllowed) {
+        return sendError(res, new ApiError(ERROR_CODES.FORBIDDEN, 'Origin not allowed'));
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return sendError(res, new ApiError(ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed'));
+    }
+
+    let files = [];
+    try {
+        const { clientId } = authenticate(req);
+
+        if (req.method === 'GET') {
+            return res.status(200).json({ success: true, enabled: isJobProcessingEnabled() });
+        }
+
+        assertJobProcessingEnabled();
+        await checkRateLimit(clientId);
+        await checkAudioQuota(clientId);
+
+        const { fields, files: uploaded } = await parseForm(req);
+        // 音声はパートごとに受け取るため、ここで送られたファイルは使わない
+        files = Object.values(uploaded).flat();
+
+        const job = await createJob({
+            clientId,
+            ranges: parseRanges(getField(fields, 'ranges')),
+            options: readTranscriptionOptions(fields),
+        });
+
+        res.setHeader('Location', `/api/jobs/${job.id}`);
+        return res.status(201).json({ success: true, ...serializeJob(job) });
+
+    } catch (error) {
+        console.error('Job creation error:', error);
+        return sendError(res, error);
+    } finally {
+        files.forEach(file => fs.unlink(file.filepath || file.path, () => { }));
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * VoiceScribe AI - Summary API
+ * Vercel Serverless Function
+ *
+ * POST /api/summarize - { text, language } を受け取り、構造化した要約を返す
+ * 実行先はLLM_PROVIDERで切り替え（既定はGroq）
+ */
+
+import { ApiError, ERROR_CODES, sendError } from './_lib/errors.js';
+import { applyCors } from './_lib/cors.js';
+import { authenticate } from './_lib/auth.js';
+import { checkRateLimit } from './_lib/rate-limit.js';
+import { summarizeTranscript } from './_lib/summary.js';
+
+// 1時間を超える会議でも収まる程度の上限
+const MAX_TEXT_LENGTH = 60000;
+
+/**
+ * JSONボディを取得（Vercelでは解析済みのreq.bodyが渡される）
+ */
+async function readJsonBody(req) {
+    if (req.body !== undefined) {
+        return typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    }
+
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+}
+
+export default async function handler(req, res) {
+    const originAllowed = applyCors(req, res);
+    if (!originAllowed) {
+        return sendError(res, new ApiError(ERROR_CODES.FORBIDDEN, 'Origin not allowed'));
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return sendError(res, new ApiError(ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed'));
+    }
+
+    try {
+        const { clientId } = authenticate(req);
+        await checkRateLimit(clientId);
+
+        const body = await readJsonBody(req).catch(() => {
+            throw new ApiError(ERROR_CODES.BAD_REQUEST, 'Invalid JSON body');
+        });
+        const text = typeof body?.text === 'string' ? body.text.trim() : '';
+        if (!text) {
+            throw new ApiError(ERROR_CODES.BAD_REQUEST, 'No text provided');
+        }
+        if (text.length > MAX_TEXT_LENGTH) {
+            throw new ApiError(ERROR_CODES.TOO_LARGE, 'Transcript is too long to summarize');
+        }
+
+        const language = typeof body.language === 'string' ? body.language.toLowerCase() : null;
+        const summary = await summarizeTranscript(text, language);
+
+        return res.status(200).json({ success: true, summary });
+
+    } catch (error) {
+        console.error('Summary error:', error);
+        return sendError(res, error);
+    }
+}
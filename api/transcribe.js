@@ -2,13 +2,24 @@
  * VoiceScribe AI - Transcription API
  * Vercel Serverless Function
  * 
- * Groq API (whisper-large-v3) を使用した音声文字起こし
+ * 音声文字起こし（実行先はTRANSCRIPTION_PROVIDERで切り替え、既定はGroq whisper-large-v3）
  * キーワードプロンプト対応版
+ * task=translate で英語への翻訳（Whisperのtranslationタスク）
+ * 長時間の音声は /api/jobs の非同期ジョブを使う
  */
 
-import Groq from 'groq-sdk';
-import formidable from 'formidable';
 import fs from 'fs';
+import { ApiError, ERROR_CODES, sendError } from './_lib/errors.js';
+import { applyCors } from './_lib/cors.js';
+import { authenticate } from './_lib/auth.js';
+import { checkAudioQuota, checkRateLimit, recordAudioUsage } from './_lib/rate-limit.js';
+import {
+    formatTranscriptionResult,
+    getFiles,
+    parseForm,
+    readTranscriptionOptions,
+    transcribeFile,
+} from './_lib/transcription.js';
 
 // Body parserを無効化（multipart/form-data対応）
 export const config = {
@@ -17,39 +28,15 @@ export const config = {
     },
 };
 
-// Groqクライアント初期化
-const groq = new Groq({
-    apiKey: process.env.GROQ_API_KEY,
-});
-
-/**
- * ファイルアップロードを解析
- */
-function parseForm(req) {
-    return new Promise((resolve, reject) => {
-        const form = formidable({
-            maxFileSize: 25 * 1024 * 1024, // 25MB上限
-            keepExtensions: true,
-        });
-
-        form.parse(req, (err, fields, files) => {
-            if (err) {
-                reject(err);
-            } else {
-                resolve({ fields, files });
-            }
-        });
-    });
-}
-
 /**
  * POSTハンドラ - 音声ファイルを受け取り文字起こし
  */
 export default async function handler(req, res) {
-    // CORS設定
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    // CORS設定（許可されていないOriginは拒否）
+    const originAllowed = applyCors(req, res);
+    if (!originAllowed) {
+        return sendError(res, new ApiError(ERROR_CODES.FORBIDDEN, 'Origin not allowed'));
+    }
 
     // プリフライトリクエスト対応
     if (req.method === 'OPTIONS') {
@@ -58,64 +45,62 @@ export default async function handler(req, res) {
 
     // POSTのみ許可
     if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
+        return sendError(res, new ApiError(ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed'));
     }
 
     try {
+        // 認証とレート制限（アップロードを受け取る前に確認）
+        const { clientId } = authenticate(req);
+        await checkRateLimit(clientId);
+        await checkAudioQuota(clientId);
+
         // フォームデータ解析
         const { fields, files } = await parseForm(req);
 
         // 音声ファイル取得
-        const audioFile = files.audio?.[0] || files.audio;
+        const [audioFile] = getFiles(files, 'audio');
         if (!audioFile) {
-            return res.status(400).json({ error: 'No audio file provided' });
+            return sendError(res, new ApiError(ERROR_CODES.BAD_REQUEST, 'No audio file provided'));
         }
 
         // ファイルパス取得
         const filePath = audioFile.filepath || audioFile.path;
         if (!filePath) {
-            return res.status(400).json({ error: 'Invalid file upload' });
+            return sendError(res, new ApiError(ERROR_CODES.BAD_REQUEST, 'Invalid file upload'));
         }
 
-        // プロンプト取得（キーワードリスト）
-        let prompt = '';
-        if (fields.prompt) {
-            // formidableはフィールドを配列で返す場合がある
-            prompt = Array.isArray(fields.prompt) ? fields.prompt[0] : fields.prompt;
+        // 空のファイルはプロバイダーに送らない
+        if (!audioFile.size) {
+            fs.unlink(filePath, () => { });
+            return sendError(res, new ApiError(ERROR_CODES.EMPTY_AUDIO, 'Audio file is empty'));
         }
 
-        // Groq API呼び出しオプション
-        const transcribeOptions = {
-            file: fs.createReadStream(filePath),
-            model: 'whisper-large-v3',
-            language: 'ja',
-            response_format: 'json',
-        };
-
-        // プロンプトがあれば追加（専門用語のヒント）
-        if (prompt && prompt.trim()) {
-            transcribeOptions.prompt = prompt.trim();
-        }
-
-        // Groq API呼び出し
-        const transcription = await groq.audio.transcriptions.create(transcribeOptions);
+        // 言語・タスク・プロンプト
+        const options = readTranscriptionOptions(fields);
+
+        const transcription = await transcribeFile({
+            filePath,
+            filename: audioFile.originalFilename || audioFile.name,
+            language: options.language,
+            prompt: options.prompt,
+            task: options.task,
+        }).finally(() => {
+            // 一時ファイル削除
+            fs.unlink(filePath, () => { });
+        });
 
-        // 一時ファイル削除
-        fs.unlink(filePath, () => { });
+        await recordAudioUsage(clientId, Number(transcription.duration) || 0);
 
         // 結果を返す
         return res.status(200).json({
             success: true,
-            text: transcription.text || '',
+            ...formatTranscriptionResult(transcription, options),
         });
 
     } catch (error) {
         console.error('Transcription error:', error);
 
-        // エラーレスポンス
-        return res.status(500).json({
-            success: false,
-            error: error.message || 'Transcription failed',
-        });
+        // エラーレスポンス（コードはerrors.js参照）
+        return sendError(res, error);
     }
 }
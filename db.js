@@ -0,0 +1,185 @@
+/**
+ * VoiceScribe AI - IndexedDB Storage
+ * メインスレッドとService Workerの両方から読み込む共通ストレージ層
+ */
+
+const DB_NAME = 'voicescribe';
+const DB_VERSION = 6;
+
+const DB_STORES = {
+    AUDIO: 'audio',
+    TRANSCRIPTIONS: 'transcriptions',
+    META: 'meta',
+    RECORDING_CHUNKS: 'recordingChunks',
+    UPLOAD_QUEUE: 'uploadQueue',
+    SHARED_FILES: 'sharedFiles',
+    REVISIONS: 'revisions',
+};
+
+// metaストアのキー（キーワード・設定などの単一値）
+const META_KEYS = {
+    KEYWORDS: 'keywords',
+    LEGACY_MIGRATED: 'legacyMigrated',
+    ACTIVE_RECORDING: 'activeRecording',
+    SETTINGS: 'settings',
+};
+
+let dbPromise = null;
+// 他のタブ・Service Workerの古い接続がスキーマ更新を妨げているときの通知（メインスレッドで設定）
+let databaseBlockedHandler = null;
+
+function onDatabaseBlocked(handler) {
+    databaseBlockedHandler = handler;
+}
+
+/**
+ * データベースを開く（接続は使い回す）
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            upgradeDatabase(request.result, event.oldVersion, request.transaction);
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            // 新しいバージョンを開こうとする他のタブ・Service Workerを待たせないよう接続を閉じる
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+        // 古い接続が閉じられると更新が進み、onsuccessが呼ばれる
+        request.onblocked = () => {
+            console.warn('Database upgrade is blocked by another open connection');
+            databaseBlockedHandler?.();
+        };
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * スキーマ移行（バージョンごとに順番に適用）
+ */
+function upgradeDatabase(db, oldVersion) {
+    if (oldVersion < 1) {
+        // 録音音声: { id: transcriptionId, blob, mimeType, createdAt }
+        db.createObjectStore(DB_STORES.AUDIO, { keyPath: 'id' });
+    }
+
+    if (oldVersion < 2) {
+        // 文字起こし本体（localStorageから移行）
+        const transcriptions = db.createObjectStore(DB_STORES.TRANSCRIPTIONS, { keyPath: 'id' });
+        transcriptions.createIndex('createdAt', 'createdAt');
+        // 単一値のメタデータ: { key, value }
+        db.createObjectStore(DB_STORES.META, { keyPath: 'key' });
+    }
+
+    if (oldVersion < 3) {
+        // 録音中のチャンク: { sessionId, seq, blob }（クラッシュ復旧用）
+        const chunks = db.createObjectStore(DB_STORES.RECORDING_CHUNKS, { keyPath: ['sessionId', 'seq'] });
+        chunks.createIndex('sessionId', 'sessionId');
+    }
+
+    if (oldVersion < 4) {
+        // 送信待ちアップロード（queue.js参照）
+        db.createObjectStore(DB_STORES.UPLOAD_QUEUE, { keyPath: 'id' });
+    }
+
+    if (oldVersion < 5) {
+        // 共有シートから受け取ったファイル: { id, name, type, blob, receivedAt }
+        db.createObjectStore(DB_STORES.SHARED_FILES, { keyPath: 'id', autoIncrement: true });
+    }
+
+    if (oldVersion < 6) {
+        // 本文の編集履歴: { id, transcriptionId, text, source, savedAt }
+        const revisions = db.createObjectStore(DB_STORES.REVISIONS, { keyPath: 'id', autoIncrement: true });
+        revisions.createIndex('transcriptionId', 'transcriptionId');
+    }
+}
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function dbGet(storeName, key) {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction(storeName).objectStore(storeName).get(key));
+}
+
+async function dbGetAll(storeName) {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction(storeName).objectStore(storeName).getAll());
+}
+
+async function dbGetAllByIndex(storeName, indexName, key) {
+    const db = await openDatabase();
+    const index = db.transaction(storeName).objectStore(storeName).index(indexName);
+    return promisifyRequest(index.getAll(IDBKeyRange.only(key)));
+}
+
+/**
+ * 書き込みはトランザクション完了まで待つ（容量超過はabortで通知される）
+ * 複数ストアをまとめて更新する場合はstoreNamesに配列を渡す
+ */
+async function dbWrite(storeNames, callback) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, 'readwrite');
+        callback(transaction);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * dbWriteのトランザクション内で、インデックスが一致するレコードをすべて削除
+ */
+function deleteAllByIndex(tx, storeName, indexName, key) {
+    const store = tx.objectStore(storeName);
+    const request = store.index(indexName).openKeyCursor(IDBKeyRange.only(key));
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+    };
+}
+
+function dbPut(storeName, value) {
+    return dbWrite(storeName, (tx) => tx.objectStore(storeName).put(value));
+}
+
+function dbDelete(storeName, key) {
+    return dbWrite(storeName, (tx) => tx.objectStore(storeName).delete(key));
+}
+
+async function dbGetMeta(key) {
+    const record = await dbGet(DB_STORES.META, key);
+    return record ? record.value : undefined;
+}
+
+function dbSetMeta(key, value) {
+    return dbPut(DB_STORES.META, { key, value });
+}
+
+/**
+ * ストレージ容量超過エラーか判定（ブラウザにより名前が異なる）
+ */
+function isQuotaExceededError(error) {
+    return !!error && (error.name === 'QuotaExceededError'
+        || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
@@ -0,0 +1,239 @@
+/**
+ * VoiceScribe AI - Upload Encoder Worker
+ * 16kHzモノラルのPCMをアップロード用に圧縮する
+ * WebCodecsのAudioEncoderが使えればOpus（Oggコンテナ）、使えなければ16bit WAV
+ *
+ * デコードとリサンプルはWorkerでは使えないOfflineAudioContextが必要なため、メインスレッドで行う
+ */
+
+const OPUS_BITRATE = 24000;           // 音声認識には十分なビットレート
+const OPUS_GRANULE_RATE = 48000;      // Ogg Opusのgranule positionは常に48kHz基準
+const DEFAULT_PRE_SKIP = 312;         // libopusの先読み（48kHzで6.5ms）
+const FRAMES_PER_INPUT = 8000;        // AudioEncoderに渡す1回分のサンプル数
+const PACKETS_PER_PAGE = 50;          // 20msパケットで約1秒ごとにページを区切る
+const OGG_SERIAL = 0x56534149;
+
+// ========================================
+// Ogg Opus
+// ========================================
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+        for (let j = 0; j < 8; j++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+})();
+
+function oggCrc(bytes) {
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+    }
+    return crc;
+}
+
+/**
+ * パケットをまとめて1つのOggページにする
+ * @param {Uint8Array[]} packets
+ * @param {number} granule - ページ内で最後に完結するパケットの終端位置（48kHz）
+ * @param {number} flags - 0x02: 先頭ページ、0x04: 最終ページ
+ */
+function createOggPage(packets, granule, sequence, flags) {
+    const lacing = [];
+    packets.forEach((packet) => {
+        for (let n = packet.length; ; n -= 255) {
+            lacing.push(Math.min(n, 255));
+            if (n < 255) break;
+        }
+    });
+
+    const dataLength = packets.reduce((sum, packet) => sum + packet.length, 0);
+    const page = new Uint8Array(27 + lacing.length + dataLength);
+    const view = new DataView(page.buffer);
+
+    page.set([0x4f, 0x67, 0x67, 0x53]);       // "OggS"
+    view.setUint8(5, flags);
+    view.setBigUint64(6, BigInt(granule), true);
+    view.setUint32(14, OGG_SERIAL, true);
+    view.setUint32(18, sequence, true);
+    view.setUint8(26, lacing.length);
+    page.set(lacing, 27);
+
+    let offset = 27 + lacing.length;
+    packets.forEach((packet) => {
+        page.set(packet, offset);
+        offset += packet.length;
+    });
+
+    view.setUint32(22, oggCrc(page), true);
+    return page;
+}
+
+function createOpusHead(sampleRate, preSkip) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set(new TextEncoder().encode('OpusHead'));
+    view.setUint8(8, 1);                      // バージョン
+    view.setUint8(9, 1);                      // チャンネル数
+    view.setUint16(10, preSkip, true);
+    view.setUint32(12, sampleRate, true);     // 元のサンプルレート（参考値）
+    view.setInt16(16, 0, true);               // 出力ゲイン
+    view.setUint8(18, 0);                     // チャンネルマッピング
+    return head;
+}
+
+function createOpusTags() {
+    const vendor = new TextEncoder().encode('VoiceScribe AI');
+    const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+    const view = new DataView(tags.buffer);
+    tags.set(new TextEncoder().encode('OpusTags'));
+    view.setUint32(8, vendor.length, true);
+    tags.set(vendor, 12);
+    view.setUint32(12 + vendor.length, 0, true);
+    return tags;
+}
+
+/**
+ * decoderConfig.descriptionがOpusHeadならpre-skipを読み取る
+ */
+function readPreSkip(description) {
+    if (!description) return DEFAULT_PRE_SKIP;
+    const bytes = new Uint8Array(ArrayBuffer.isView(description) ? description.buffer : description);
+    const magic = new TextDecoder().decode(bytes.subarray(0, 8));
+    return magic === 'OpusHead' ? new DataView(bytes.buffer, bytes.byteOffset).getUint16(10, true) : DEFAULT_PRE_SKIP;
+}
+
+function isOpusEncoderAvailable(sampleRate) {
+    if (typeof AudioEncoder === 'undefined') return Promise.resolve(false);
+
+    return AudioEncoder.isConfigSupported(getOpusConfig(sampleRate))
+        .then(({ supported }) => supported)
+        .catch(() => false);
+}
+
+function getOpusConfig(sampleRate) {
+    return { codec: 'opus', sampleRate, numberOfChannels: 1, bitrate: OPUS_BITRATE };
+}
+
+async function encodeOpus(samples, sampleRate) {
+    const packets = [];
+    let preSkip = DEFAULT_PRE_SKIP;
+    let encodeError = null;
+
+    const encoder = new AudioEncoder({
+        output: (chunk, metadata) => {
+            if (metadata?.decoderConfig) {
+                preSkip = readPreSkip(metadata.decoderConfig.description);
+            }
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            // durationが無い実装では20msフレームとみなす
+            const duration = Math.round((chunk.duration ?? 20000) * OPUS_GRANULE_RATE / 1e6);
+            packets.push({ data, duration });
+        },
+        error: (error) => {
+            encodeError = error;
+        },
+    });
+    encoder.configure(getOpusConfig(sampleRate));
+
+    for (let offset = 0; offset < samples.length; offset += FRAMES_PER_INPUT) {
+        const frame = samples.slice(offset, offset + FRAMES_PER_INPUT);
+        const audioData = new AudioData({
+            format: 'f32',
+            sampleRate,
+            numberOfFrames: frame.length,
+            numberOfChannels: 1,
+            timestamp: Math.round(offset * 1e6 / sampleRate),
+            data: frame,
+        });
+        encoder.encode(audioData);
+        audioData.close();
+    }
+    await encoder.flush();
+    encoder.close();
+
+    if (encodeError) throw encodeError;
+
+    // 末尾のパディングは最終ページのgranuleで切り詰める
+    const endGranule = preSkip + Math.round(samples.length * OPUS_GRANULE_RATE / sampleRate);
+    const pages = [
+        createOggPage([createOpusHead(sampleRate, preSkip)], 0, 0, 0x02),
+        createOggPage([createOpusTags()], 0, 1, 0),
+    ];
+
+    let granule = 0;
+    for (let i = 0; i < packets.length; i += PACKETS_PER_PAGE) {
+        const pagePackets = packets.slice(i, i + PACKETS_PER_PAGE);
+        granule += pagePackets.reduce((sum, packet) => sum + packet.duration, 0);
+        const last = i + PACKETS_PER_PAGE >= packets.length;
+        pages.push(createOggPage(
+            pagePackets.map(packet => packet.data),
+            last ? endGranule : Math.min(granule, endGranule),
+            pages.length,
+            last ? 0x04 : 0,
+        ));
+    }
+
+    return new Blob(pages, { type: 'audio/ogg' });
+}
+
+// ========================================
+// WAV (AudioEncoderが使えない場合)
+// ========================================
+function encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) {
+            view.setUint8(offset + i, str.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, 1, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    for (let i = 0; i < samples.length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * メッセージ:
+ *   { id, samples, sampleRate } - モノラルのFloat32Arrayを圧縮
+ * 応答:
+ *   { type: 'result', id, blob, extension }
+ *   { type: 'error', id, message }
+ */
+self.addEventListener('message', async (event) => {
+    const { id, samples, sampleRate } = event.data;
+
+    try {
+        if (await isOpusEncoderAvailable(sampleRate)) {
+            const blob = await encodeOpus(samples, sampleRate);
+            self.postMessage({ type: 'result', id, blob, extension: 'ogg' });
+        } else {
+            self.postMessage({ type: 'result', id, blob: encodeWav(samples, sampleRate), extension: 'wav' });
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message || String(error) });
+    }
+});
@@ -13,17 +13,57 @@ const elements = {
     recordBtn: document.getElementById('recordBtn'),
     recordIcon: document.getElementById('recordIcon'),
     pulseRings: document.getElementById('pulseRings'),
+    recordingControls: document.getElementById('recordingControls'),
+    recordingTimer: document.getElementById('recordingTimer'),
+    pauseBtn: document.getElementById('pauseBtn'),
+    pauseIcon: document.getElementById('pauseIcon'),
     statusDot: document.getElementById('statusDot'),
     statusText: document.getElementById('statusText'),
     historyList: document.getElementById('historyList'),
     historyCount: document.getElementById('historyCount'),
     emptyHistory: document.getElementById('emptyHistory'),
+    historyFilters: document.getElementById('historyFilters'),
+    historySearchInput: document.getElementById('historySearchInput'),
+    historyDateFrom: document.getElementById('historyDateFrom'),
+    historyDateTo: document.getElementById('historyDateTo'),
+    historySortSelect: document.getElementById('historySortSelect'),
+    historyFilterClearBtn: document.getElementById('historyFilterClearBtn'),
+    historyMoreBtn: document.getElementById('historyMoreBtn'),
+    historyNoMatch: document.getElementById('historyNoMatch'),
     detailView: document.getElementById('detailView'),
     backBtn: document.getElementById('backBtn'),
-    detailTitle: document.getElementById('detailTitle'),
+    detailTitleInput: document.getElementById('detailTitleInput'),
+    detailFolderInput: document.getElementById('detailFolderInput'),
+    folderOptions: document.getElementById('folderOptions'),
+    detailTagChips: document.getElementById('detailTagChips'),
+    detailTagInput: document.getElementById('detailTagInput'),
+    tagOptions: document.getElementById('tagOptions'),
+    historyFilterBar: document.getElementById('historyFilterBar'),
+    autoTitleToggle: document.getElementById('autoTitleToggle'),
     detailDate: document.getElementById('detailDate'),
     detailFullText: document.getElementById('detailFullText'),
+    detailEditor: document.getElementById('detailEditor'),
+    editBtn: document.getElementById('editBtn'),
+    editIcon: document.getElementById('editIcon'),
+    editStatus: document.getElementById('editStatus'),
+    revisionsBtn: document.getElementById('revisionsBtn'),
+    revisionsCard: document.getElementById('revisionsCard'),
+    revisionsList: document.getElementById('revisionsList'),
+    revisionsCloseBtn: document.getElementById('revisionsCloseBtn'),
+    detailAudioCard: document.getElementById('detailAudioCard'),
+    detailAudio: document.getElementById('detailAudio'),
+    recoveryBanner: document.getElementById('recoveryBanner'),
+    recoveryInfo: document.getElementById('recoveryInfo'),
+    recoveryTranscribeBtn: document.getElementById('recoveryTranscribeBtn'),
+    recoveryDiscardBtn: document.getElementById('recoveryDiscardBtn'),
     deleteCurrentBtn: document.getElementById('deleteCurrentBtn'),
+    summarizeBtn: document.getElementById('summarizeBtn'),
+    summarizeIcon: document.getElementById('summarizeIcon'),
+    summaryCard: document.getElementById('summaryCard'),
+    summaryBody: document.getElementById('summaryBody'),
+    summaryCopyBtn: document.getElementById('summaryCopyBtn'),
+    summarySaveBtn: document.getElementById('summarySaveBtn'),
+    summaryRegenerateBtn: document.getElementById('summaryRegenerateBtn'),
     detailCopyBtn: document.getElementById('detailCopyBtn'),
     detailSaveBtn: document.getElementById('detailSaveBtn'),
     openSettingsBtn: document.getElementById('openSettingsBtn'),
@@ -40,6 +80,45 @@ const elements = {
     toastMessage: document.getElementById('toastMessage'),
     volumeMeterContainer: document.getElementById('volumeMeterContainer'),
     volumeMeter: document.getElementById('volumeMeter'),
+    importBtn: document.getElementById('importBtn'),
+    importInput: document.getElementById('importInput'),
+    dropOverlay: document.getElementById('dropOverlay'),
+    engineSelect: document.getElementById('engineSelect'),
+    languageSelect: document.getElementById('languageSelect'),
+    apiTokenInput: document.getElementById('apiTokenInput'),
+    livePreviewToggle: document.getElementById('livePreviewToggle'),
+    cloudPreviewToggle: document.getElementById('cloudPreviewToggle'),
+    silenceTrimToggle: document.getElementById('silenceTrimToggle'),
+    silenceThresholdInput: document.getElementById('silenceThresholdInput'),
+    silenceThresholdValue: document.getElementById('silenceThresholdValue'),
+    autoStopSelect: document.getElementById('autoStopSelect'),
+    livePreviewCard: document.getElementById('livePreviewCard'),
+    livePreviewLabel: document.getElementById('livePreviewLabel'),
+    livePreviewText: document.getElementById('livePreviewText'),
+    translateToggle: document.getElementById('translateToggle'),
+    detailContent: document.getElementById('detailContent'),
+    detailTexts: document.getElementById('detailTexts'),
+    originalLabel: document.getElementById('originalLabel'),
+    translationCard: document.getElementById('translationCard'),
+    detailTranslationText: document.getElementById('detailTranslationText'),
+    translationCopyBtn: document.getElementById('translationCopyBtn'),
+    translationSaveBtn: document.getElementById('translationSaveBtn'),
+    historySelectBtn: document.getElementById('historySelectBtn'),
+    selectionBar: document.getElementById('selectionBar'),
+    selectionCount: document.getElementById('selectionCount'),
+    selectionAllBtn: document.getElementById('selectionAllBtn'),
+    selectionCancelBtn: document.getElementById('selectionCancelBtn'),
+    selectionExportBtn: document.getElementById('selectionExportBtn'),
+    exportSheet: document.getElementById('exportSheet'),
+    exportSheetOverlay: document.getElementById('exportSheetOverlay'),
+    exportTarget: document.getElementById('exportTarget'),
+    exportCloseBtn: document.getElementById('exportCloseBtn'),
+    exportFormatList: document.getElementById('exportFormatList'),
+    backupAudioToggle: document.getElementById('backupAudioToggle'),
+    backupBtn: document.getElementById('backupBtn'),
+    restoreModeSelect: document.getElementById('restoreModeSelect'),
+    restoreBtn: document.getElementById('restoreBtn'),
+    restoreInput: document.getElementById('restoreInput'),
 };
 
 // ========================================
@@ -49,70 +128,389 @@ let state = {
     currentView: 'home',
     currentTranscriptionId: null,
     isRecording: false,
+    isPaused: false,
     isProcessing: false,
     transcriptions: [],
     keywords: [],
+    settings: {},
+    translateNext: false,
     mediaRecorder: null,
     audioChunks: [],
     audioContext: null,
     analyser: null,
     volumeAnimationId: null,
     mediaStream: null,
+    recordingStartedAt: null,
+    recordingDuration: 0,
+    // 一時停止の合計時間（ms）と、一時停止中ならその開始時刻
+    recordingPausedMs: 0,
+    recordingPausedAt: null,
+    recordingTimerId: null,
+    // 無音が続いている場合はその開始時刻（自動停止の判定に使う）
+    silenceStartedAt: null,
+    recordingSessionId: null,
+    recordingChunkSeq: 0,
+    interruptedRecording: null,
+    dragDepth: 0,
+    detailAudioUrl: null,
+    sentenceTimings: [],
+    activeSentenceIndex: -1,
+    localWorker: null,
+    localRequests: new Map(),
+    localRequestSeq: 0,
+    encoderWorker: null,
+    encoderRequests: new Map(),
+    encoderRequestSeq: 0,
+    // 圧縮済みのアップロード用音声（元のBlobごとに1回だけ圧縮する）
+    compressedUploads: new WeakMap(),
+    historyFilter: null,
+    historyLimit: 0,
+    historySearchTimer: null,
+    // 履歴の複数選択中は選択したIDのSet
+    selectedIds: null,
+    exportTargets: [],
+    backupBusy: false,
+    // 本文の編集中は { id, revisionId, lastSavedAt, timer }
+    editing: null,
+    revisions: [],
+    uploadRetryTimer: null,
+    watchedJobs: new Set(),
+    // サーバーが非同期ジョブを受け付けるか（nullは未確認）
+    jobsEnabled: null,
+    preview: null,
+    jobProgress: new Map(),
+    summarizingIds: new Set(),
 };
 
 // ========================================
 // Constants
 // ========================================
-const STORAGE_KEYS = {
+// IndexedDB移行前のlocalStorageキー（初回起動時に移行して削除）
+const LEGACY_STORAGE_KEYS = {
     TRANSCRIPTIONS: 'transcriptions_v1',
     KEYWORDS: 'voicescribe_keywords',
 };
 const PREVIEW_LENGTH = 30;
-const API_ENDPOINT = '/api/transcribe';
-
-// 幻覚フィルター用禁止ワード
-const HALLUCINATION_WORDS = [
-    'お疲れ様でした',
-    'お疲れさまでした',
-    'ご視聴ありがとうございました',
-    '視聴ありがとうございました',
-    'ありがとうございました',
-    'チャンネル登録',
-    '高評価',
-    '字幕',
-    'サブタイトル',
+
+// タイトル・タグ・フォルダ
+const AUTO_TITLE_LENGTH = 30;
+const TAG_MAX_LENGTH = 30;
+const TITLE_SOURCES = {
+    AUTO: 'auto',   // 最初の文から自動設定
+    AI: 'ai',       // AI要約のタイトル
+    USER: 'user',   // 利用者が入力（自動では上書きしない）
+};
+
+// 本文の編集と編集履歴
+const EDIT_AUTOSAVE_DELAY_MS = 1000;
+const REVISION_COALESCE_MS = 5 * 60 * 1000;   // 続けて編集している間は同じ版にまとめる
+const DIFF_MAX_EDITS = 2000;                  // これを超える差分は全体の置き換えとして表示
+const DIFF_CONTEXT_LENGTH = 20;               // 差分表示で変更箇所の前後に残す文字数
+const REVISION_SOURCES = {
+    EDIT: 'edit',
+    RESTORE: 'restore',
+};
+
+// 履歴の検索・表示
+const HISTORY_PAGE_SIZE = 50;            // 一度に描画するカード数
+const HISTORY_SEARCH_DEBOUNCE_MS = 200;
+const HISTORY_SNIPPET_RADIUS = 20;       // 検索結果で一致箇所の前後に表示する文字数
+const HISTORY_SORTS = {
+    NEWEST: 'newest',
+    OLDEST: 'oldest',
+    LONGEST: 'longest',
+    SHORTEST: 'shortest',
+};
+
+// 書き出し
+const EXPORT_FORMATS = {
+    TXT: 'txt',
+    MARKDOWN: 'md',
+    SRT: 'srt',
+    VTT: 'vtt',
+    JSON: 'json',
+    DOCX: 'docx',
+};
+const EXPORT_MIME_TYPES = {
+    [EXPORT_FORMATS.TXT]: 'text/plain;charset=utf-8',
+    [EXPORT_FORMATS.MARKDOWN]: 'text/markdown;charset=utf-8',
+    [EXPORT_FORMATS.SRT]: 'application/x-subrip;charset=utf-8',
+    [EXPORT_FORMATS.VTT]: 'text/vtt;charset=utf-8',
+    [EXPORT_FORMATS.JSON]: 'application/json;charset=utf-8',
+    [EXPORT_FORMATS.DOCX]: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+};
+const EXPORT_FILENAME_LENGTH = 40;       // ファイル名に使うタイトルの最大文字数
+const MIN_CUE_SECONDS = 1;               // 時刻を推定した字幕の最短表示時間
+
+// 長時間録音の分割設定（サーバー側の25MB上限に余裕を持たせる）
+const MAX_UPLOAD_BYTES = 24 * 1024 * 1024;
+const SEGMENT_SAMPLE_RATE = 16000;       // Whisperの入力に合わせた16kHz
+const SEGMENT_TARGET_SECONDS = 600;      // 16kHz/16bit WAVで約19MB
+const SEGMENT_OVERLAP_SECONDS = 5;       // 境界の単語欠落を防ぐ重なり
+const SILENCE_SEARCH_SECONDS = 30;       // 分割点の手前で無音を探す範囲
+const SILENCE_FRAME_SECONDS = 0.1;
+const OVERLAP_MATCH_WINDOW = 80;         // 重複テキスト検出に使う文字数
+const MIN_OVERLAP_MATCH = 8;
+const OVERLAP_EDGE_SLACK = 10;           // 一致が前テキスト末尾・次テキスト先頭からずれてよい文字数
+const PROMPT_CONTEXT_LENGTH = 100;       // 前セグメントから引き継ぐ文脈
+
+// レート制限でRetry-Afterが返らなかった場合の再送待ち
+const RATE_LIMIT_RETRY_SECONDS = 30;
+
+// サーバーの非同期ジョブの状態を確認する間隔
+const JOB_POLL_INTERVAL_MS = 3000;
+// 完了パート数がこの間増えなければ確認を打ち切り、次の再試行でジョブを作り直す
+const JOB_STALL_TIMEOUT_MS = 10 * 60 * 1000;
+
+// ライブプレビュー（録音中に直近の区間を文字起こし）
+const LIVE_PREVIEW_WINDOW_SECONDS = 8;   // 1回に送る区間の長さ
+const LIVE_PREVIEW_SEARCH_SECONDS = 2;   // 区間末尾で無音を探す範囲
+const LIVE_PREVIEW_MIN_RMS = 0.005;      // これより静かな区間は送らない
+
+// 無音検出（閾値は音量メーターと同じ目盛り: RMS×VOLUME_METER_GAIN の%）
+const VOLUME_METER_GAIN = 400;
+const SILENCE_TRIM_MIN_SECONDS = 2;      // これより長い無音を取り除く
+const SILENCE_TRIM_PADDING_SECONDS = 0.3; // 発話の前後に残す余白
+const SILENCE_TRIM_MIN_SAVING_SECONDS = 5; // 削れる時間がこれ未満なら元の音声を送る
+const AUTO_STOP_WARNING_SECONDS = 10;    // 自動停止の何秒前から予告するか
+
+// 文字起こしエンジン
+const ENGINES = {
+    AUTO: 'auto',     // クラウド優先、オフライン・障害時は端末内
+    CLOUD: 'cloud',   // Groq Whisper
+    LOCAL: 'local',   // 端末内のみ（音声を送信しない）
+};
+
+const DEFAULT_SETTINGS = {
+    engine: ENGINES.AUTO,
+    language: 'ja',
+    apiToken: '',
+    autoTitle: true,
+    livePreview: true,
+    cloudPreview: false,     // APIでのプレビューは確定版とは別に利用量・レート制限に数えられる
+    silenceTrim: true,
+    silenceThreshold: 3,     // %（音量メーターの目盛り）
+    autoStopSeconds: 0,      // 0は自動停止しない
+    backupAudio: true,
+};
+
+// バックアップ（形式を変えたらBACKUP_VERSIONを上げ、古い版の読み込みを残す）
+const BACKUP_FORMAT = 'voicescribe-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_MANIFEST_NAME = 'backup.json';
+// 録音ID（createTranscriptionのts_<ミリ秒>）。復元したIDは属性値に入るため形式を確認する
+const TRANSCRIPTION_ID_PATTERN = /^ts_\d+$/;
+const RESTORE_MODES = {
+    MERGE: 'merge',       // 同じIDは更新日時が新しい方を残す
+    REPLACE: 'replace',   // 今の履歴・キーワード・設定を消してから復元
+};
+
+// インポート可能な音声・動画ファイル
+const IMPORT_EXTENSIONS = ['mp3', 'm4a', 'wav', 'ogg', 'webm', 'mp4'];
+const IMPORT_MIME_TYPES = [
+    'audio/mpeg', 'audio/mp4', 'audio/x-m4a', 'audio/wav', 'audio/x-wav',
+    'audio/ogg', 'audio/webm', 'video/webm', 'video/mp4',
+];
+
+// Whisperの無音判定（no_speech_probが高く、かつ確信度が低いセグメントを破棄）
+const NO_SPEECH_THRESHOLD = 0.6;
+const LOW_LOGPROB_THRESHOLD = -1.0;
+
+// 幻覚フィルター用禁止ワード（言語共通 + 言語別）
+const HALLUCINATION_WORDS_COMMON = [
     'MBC',
     'IYH',
     'Translated by',
     'Subtitles by',
     'Amara.org',
 ];
+// 禁止ワードを含む文の削除単位。文末の区切りを含めた1文
+// （英数字が続くピリオドは小数点・ドメイン名などのため区切りとみなさない）
+const HALLUCINATION_SENTENCE_PATTERN = /(?:(?![。．！？!?]|\.(?![0-9A-Za-z]))[\s\S])+(?:(?:[。．！？!?]|\.(?![0-9A-Za-z]))+\s*|$)|(?:[。．！？!?]|\.(?![0-9A-Za-z]))+\s*/g;
+
+const HALLUCINATION_WORDS_BY_LANGUAGE = {
+    ja: [
+        'お疲れ様でした',
+        'お疲れさまでした',
+        'ご視聴ありがとうございました',
+        '視聴ありがとうございました',
+        'ありがとうございました',
+        'チャンネル登録',
+        '高評価',
+        '字幕',
+        'サブタイトル',
+    ],
+    en: [
+        'Thank you for watching',
+        'Thanks for watching',
+        'Please subscribe',
+        'Like and subscribe',
+        'See you in the next video',
+    ],
+    zh: [
+        '谢谢观看',
+        '请不吝点赞',
+        '订阅',
+        '字幕由',
+    ],
+    ko: [
+        '시청해주셔서 감사합니다',
+        '구독과 좋아요',
+        '자막',
+    ],
+};
+
+// 詳細画面に表示する言語名
+const LANGUAGE_LABELS = {
+    ja: '日本語',
+    en: '英語',
+    zh: '中国語',
+    ko: '韓国語',
+    es: 'スペイン語',
+    fr: 'フランス語',
+    de: 'ドイツ語',
+};
+const AUTO_LANGUAGE = 'auto';
+
+// Whisperのタスク（翻訳は英語のみ出力）
+const TASKS = {
+    TRANSCRIBE: 'transcribe',
+    TRANSLATE: 'translate',
+};
+const TRANSLATION_LANGUAGE = 'en';
 
 // ========================================
 // Initialization
 // ========================================
-function init() {
-    loadTranscriptions();
-    loadKeywords();
+async function init() {
+    state.historyFilter = createHistoryFilter();
+    onDatabaseBlocked(() => {
+        showToast('別のタブで開いているVoiceScribeを閉じると読み込みを続けます', 'warning');
+    });
+
+    try {
+        await migrateLegacyStorage();
+        await loadTranscriptions();
+        await loadKeywords();
+        await loadSettings();
+    } catch (e) {
+        console.error('Failed to open storage:', e);
+        showToast('データの読み込みに失敗しました', 'error');
+    }
+
+    // ストレージ逼迫時に自動削除されないよう永続化を要求
+    navigator.storage?.persist?.().catch(() => { });
+
     setupEventListeners();
     renderHistoryList();
     updateKeywordBadge();
     updateStatus('ready', 'タップして録音開始');
+    await checkInterruptedRecording();
+
+    registerServiceWorker();
+    await applyCompletedUploads();
+
+    // 共有・ファイルを開くから起動された場合は送信待ちの再送より先に処理する
+    setupFileLaunchHandlers();
+    await importSharedFiles();
+    retryUploadQueue();
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('./sw.js').catch((e) => {
+        console.error('Service worker registration failed:', e);
+    });
+
+    // Service Workerでの再送完了を受け取る
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'upload-queue-updated') {
+            applyCompletedUploads();
+        }
+    });
 }
 
 function setupEventListeners() {
+    elements.historySearchInput.addEventListener('input', handleHistorySearchInput);
+    elements.historyDateFrom.addEventListener('change', () => applyHistoryFilter({ from: elements.historyDateFrom.value }));
+    elements.historyDateTo.addEventListener('change', () => applyHistoryFilter({ to: elements.historyDateTo.value }));
+    elements.historyFilterBar.addEventListener('click', handleHistoryFilterBarClick);
+    elements.historyList.addEventListener('click', handleHistoryListClick);
+    elements.revisionsList.addEventListener('click', handleRevisionsListClick);
+    elements.detailTitleInput.addEventListener('change', handleTitleChange);
+    elements.detailTitleInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') e.target.blur();
+    });
+    elements.detailFolderInput.addEventListener('change', handleFolderChange);
+    elements.detailTagInput.addEventListener('keydown', handleTagInputKeydown);
+    elements.detailTagInput.addEventListener('change', addTagFromInput);
+    elements.detailTagChips.addEventListener('click', handleTagChipClick);
+    elements.autoTitleToggle.addEventListener('change', handleAutoTitleChange);
+    elements.historySortSelect.addEventListener('change', () => applyHistoryFilter({ sort: elements.historySortSelect.value }));
+    elements.historyFilterClearBtn.addEventListener('click', clearHistoryFilter);
+    elements.historyMoreBtn.addEventListener('click', showMoreHistory);
+    elements.historySelectBtn.addEventListener('click', startHistorySelection);
+    elements.selectionAllBtn.addEventListener('click', selectAllHistory);
+    elements.selectionCancelBtn.addEventListener('click', exitHistorySelection);
+    elements.selectionExportBtn.addEventListener('click', exportSelectedTranscriptions);
+    elements.exportFormatList.addEventListener('click', handleExportFormatClick);
+    elements.exportCloseBtn.addEventListener('click', closeExportSheet);
+    elements.exportSheetOverlay.addEventListener('click', closeExportSheet);
     elements.recordBtn.addEventListener('click', toggleRecording);
+    elements.pauseBtn.addEventListener('click', togglePause);
     elements.backBtn.addEventListener('click', navigateToHome);
     elements.detailCopyBtn.addEventListener('click', copyCurrentTranscription);
-    elements.detailSaveBtn.addEventListener('click', saveCurrentTranscription);
+    elements.detailSaveBtn.addEventListener('click', exportCurrentTranscription);
+    elements.translationCopyBtn.addEventListener('click', copyCurrentTranslation);
+    elements.translationSaveBtn.addEventListener('click', saveCurrentTranslation);
+    elements.translateToggle.addEventListener('click', toggleTranslateNext);
     elements.deleteCurrentBtn.addEventListener('click', deleteCurrentTranscription);
+    elements.summarizeBtn.addEventListener('click', summarizeCurrentTranscription);
+    elements.summaryRegenerateBtn.addEventListener('click', summarizeCurrentTranscription);
+    elements.summaryCopyBtn.addEventListener('click', copyCurrentMinutes);
+    elements.summarySaveBtn.addEventListener('click', saveCurrentMinutes);
     elements.openSettingsBtn.addEventListener('click', openBottomSheet);
     elements.closeSheetBtn.addEventListener('click', closeBottomSheet);
     elements.bottomSheetOverlay.addEventListener('click', closeBottomSheet);
     elements.addKeywordBtn.addEventListener('click', addKeyword);
+    elements.keywordList.addEventListener('click', handleKeywordListClick);
     elements.keywordInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') addKeyword();
     });
+    elements.engineSelect.addEventListener('change', handleEngineChange);
+    elements.languageSelect.addEventListener('change', handleLanguageChange);
+    elements.apiTokenInput.addEventListener('change', handleApiTokenChange);
+    elements.livePreviewToggle.addEventListener('change', handleLivePreviewChange);
+    elements.cloudPreviewToggle.addEventListener('change', handleCloudPreviewChange);
+    elements.silenceTrimToggle.addEventListener('change', handleSilenceTrimChange);
+    elements.silenceThresholdInput.addEventListener('input', handleSilenceThresholdChange);
+    elements.autoStopSelect.addEventListener('change', handleAutoStopChange);
+    elements.backupAudioToggle.addEventListener('change', handleBackupAudioChange);
+    elements.backupBtn.addEventListener('click', createBackup);
+    elements.restoreBtn.addEventListener('click', () => elements.restoreInput.click());
+    elements.restoreInput.addEventListener('change', handleRestoreInput);
+    elements.importBtn.addEventListener('click', openImportPicker);
+    elements.importInput.addEventListener('change', handleImportInput);
+    elements.homeView.addEventListener('dragenter', handleDragEnter);
+    elements.homeView.addEventListener('dragover', (e) => e.preventDefault());
+    elements.homeView.addEventListener('dragleave', handleDragLeave);
+    elements.homeView.addEventListener('drop', handleDrop);
+    elements.recoveryTranscribeBtn.addEventListener('click', recoverInterruptedRecording);
+    elements.recoveryDiscardBtn.addEventListener('click', discardInterruptedRecording);
+    elements.detailFullText.addEventListener('click', seekToSentence);
+    elements.editBtn.addEventListener('click', toggleEditing);
+    elements.detailEditor.addEventListener('input', handleEditorInput);
+    elements.revisionsBtn.addEventListener('click', toggleRevisions);
+    elements.revisionsCloseBtn.addEventListener('click', closeRevisions);
+    // 画面を離れる前に未保存の編集を保存
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden' && state.editing) {
+            saveEditorText();
+        }
+    });
+    elements.detailAudio.addEventListener('timeupdate', highlightPlayingSentence);
+    window.addEventListener('online', retryUploadQueue);
     window.addEventListener('popstate', (e) => {
         if (state.currentView === 'detail') {
             e.preventDefault();
@@ -130,6 +528,12 @@ async function toggleRecording() {
         return;
     }
 
+    // 未処理の中断録音があると復旧用データを上書きしてしまう
+    if (!state.isRecording && state.interruptedRecording) {
+        showToast('先に中断された録音を文字起こしまたは破棄してください', 'warning');
+        return;
+    }
+
     if (state.isRecording) {
         stopRecording();
     } else {
@@ -170,6 +574,7 @@ async function startRecording() {
         // マイク入力をAnalyserに接続
         const source = state.audioContext.createMediaStreamSource(stream);
         source.connect(state.analyser);
+        await startLivePreview(source);
 
         // ボリュームメーター表示開始
         elements.volumeMeterContainer.classList.remove('hidden');
@@ -181,10 +586,12 @@ async function startRecording() {
             : 'audio/webm';
 
         state.mediaRecorder = new MediaRecorder(stream, { mimeType });
+        await beginRecordingSession(mimeType);
 
         state.mediaRecorder.ondataavailable = (event) => {
             if (event.data.size > 0) {
                 state.audioChunks.push(event.data);
+                persistRecordingChunk(event.data);
             }
         };
 
@@ -195,6 +602,12 @@ async function startRecording() {
 
         state.mediaRecorder.start(1000);
         state.isRecording = true;
+        state.isPaused = false;
+        state.recordingStartedAt = Date.now();
+        state.recordingPausedMs = 0;
+        state.recordingPausedAt = null;
+        state.silenceStartedAt = null;
+        startRecordingTimer();
 
         // UI更新
         elements.recordBtn.classList.add('recording');
@@ -217,7 +630,11 @@ async function startRecording() {
 function stopRecording() {
     if (state.mediaRecorder && state.isRecording) {
         state.mediaRecorder.stop();
+        state.recordingDuration = getRecordingElapsed();
         state.isRecording = false;
+        state.isPaused = false;
+        stopRecordingTimer();
+        stopLivePreview();
 
         // メディアストリーム停止
         if (state.mediaStream) {
@@ -226,7 +643,7 @@ function stopRecording() {
         }
 
         // UI更新
-        elements.recordBtn.classList.remove('recording');
+        elements.recordBtn.classList.remove('recording', 'paused');
         elements.recordIcon.classList.remove('ph-stop');
         elements.recordIcon.classList.add('ph-microphone');
         elements.pulseRings.classList.add('hidden');
@@ -236,6 +653,332 @@ function stopRecording() {
     }
 }
 
+// ========================================
+// Pause / Resume & Elapsed Time
+// ========================================
+function togglePause() {
+    if (!state.isRecording || !state.mediaRecorder) return;
+
+    if (state.isPaused) {
+        resumeRecording();
+    } else {
+        pauseRecording();
+    }
+}
+
+function pauseRecording() {
+    state.mediaRecorder.pause();
+    state.isPaused = true;
+    state.recordingPausedAt = Date.now();
+
+    elements.recordBtn.classList.add('paused');
+    elements.pulseRings.classList.add('hidden');
+    elements.pauseIcon.classList.replace('ph-pause', 'ph-play');
+    elements.pauseBtn.title = '再開';
+    updateStatus('paused', '一時停止中... 再開ボタンで続きを録音');
+    updateRecordingTimer();
+}
+
+function resumeRecording() {
+    state.mediaRecorder.resume();
+    state.recordingPausedMs += Date.now() - state.recordingPausedAt;
+    state.recordingPausedAt = null;
+    state.isPaused = false;
+
+    elements.recordBtn.classList.remove('paused');
+    elements.pulseRings.classList.remove('hidden');
+    elements.pauseIcon.classList.replace('ph-play', 'ph-pause');
+    elements.pauseBtn.title = '一時停止';
+    updateStatus('recording', '録音中... タップで停止');
+}
+
+/**
+ * 一時停止していた時間を除いた録音時間（秒）
+ */
+function getRecordingElapsed() {
+    const now = Date.now();
+    const paused = state.recordingPausedMs + (state.recordingPausedAt ? now - state.recordingPausedAt : 0);
+    return Math.max(0, (now - state.recordingStartedAt - paused) / 1000);
+}
+
+function startRecordingTimer() {
+    elements.pauseIcon.classList.replace('ph-play', 'ph-pause');
+    elements.pauseBtn.title = '一時停止';
+    elements.recordingControls.classList.remove('hidden');
+    updateRecordingTimer();
+    state.recordingTimerId = setInterval(updateRecordingTimer, 500);
+}
+
+function stopRecordingTimer() {
+    clearInterval(state.recordingTimerId);
+    state.recordingTimerId = null;
+    elements.recordingControls.classList.add('hidden');
+}
+
+function updateRecordingTimer() {
+    elements.recordingTimer.textContent = formatDuration(Math.floor(getRecordingElapsed()));
+    elements.recordingTimer.classList.toggle('text-amber-500', state.isPaused);
+}
+
+// ========================================
+// Live Preview (録音中の途中経過)
+// ========================================
+
+/**
+ * マイク入力をPCMで受け取り、一定間隔で直近の区間を文字起こしして録音ボタンの下に表示
+ * 確定版は停止後に録音全体から作り直すため、プレビューは表示のみに使う
+ */
+async function startLivePreview(source) {
+    state.preview = null;
+    if (!state.settings.livePreview || !state.audioContext.audioWorklet) return;
+
+    // オフライン時・端末内設定では端末内エンジンで認識する
+    const local = state.settings.engine === ENGINES.LOCAL
+        || (state.settings.engine === ENGINES.AUTO && !navigator.onLine);
+    // APIで認識する場合は、確定版の送信がレート制限・利用量の上限に達しないよう明示的に有効にしたときのみ
+    if (!local && !state.settings.cloudPreview) return;
+
+    try {
+        await state.audioContext.audioWorklet.addModule('./preview-worklet.js');
+        // 出力のないノードとしてつなぎ、入力だけを受け取る
+        const node = new AudioWorkletNode(state.audioContext, 'preview-capture', { numberOfOutputs: 0 });
+        const preview = {
+            node,
+            sampleRate: state.audioContext.sampleRate,
+            local,
+            pending: [],
+            pendingLength: 0,
+            text: '',
+            busy: false,
+        };
+        node.port.onmessage = (event) => handlePreviewSamples(preview, event.data);
+        source.connect(node);
+        state.preview = preview;
+
+        elements.livePreviewLabel.textContent = 'ライブプレビュー';
+        renderLivePreview();
+        elements.livePreviewCard.classList.remove('hidden');
+    } catch (e) {
+        console.warn('Live preview unavailable:', e);
+    }
+}
+
+/**
+ * 録音停止時にプレビューを止める（確定版ができるまで表示は残す）
+ */
+function stopLivePreview() {
+    const preview = state.preview;
+    if (!preview) return;
+
+    preview.node.port.onmessage = null;
+    preview.node.disconnect();
+    state.preview = null;
+    elements.livePreviewLabel.textContent = 'プレビュー（確定版を作成中...）';
+}
+
+function hideLivePreview() {
+    elements.livePreviewCard.classList.add('hidden');
+    elements.livePreviewText.textContent = '';
+}
+
+function renderLivePreview() {
+    const text = state.preview?.text;
+    elements.livePreviewText.textContent = text || '認識した内容がここに表示されます';
+    elements.livePreviewText.classList.toggle('text-slate-400', !text);
+    elements.livePreviewText.scrollTop = elements.livePreviewText.scrollHeight;
+}
+
+function handlePreviewSamples(preview, samples) {
+    // 一時停止中の入力は録音に含まれないためプレビューにも使わない
+    if (state.isPaused) return;
+
+    preview.pending.push(samples);
+    preview.pendingLength += samples.length;
+
+    // 前の区間の認識中は次の区間を溜めておき、終わってからまとめて送る
+    if (!preview.busy && preview.pendingLength >= LIVE_PREVIEW_WINDOW_SECONDS * preview.sampleRate) {
+        transcribePreviewWindow(preview);
+    }
+}
+
+async function transcribePreviewWindow(preview) {
+    preview.busy = true;
+
+    const samples = new Float32Array(preview.pendingLength);
+    let offset = 0;
+    preview.pending.forEach((chunk) => {
+        samples.set(chunk, offset);
+        offset += chunk.length;
+    });
+
+    // 単語の途中で切らないよう末尾付近の最も静かな位置で区切り、残りは次の区間に回す
+    const searchFrom = Math.max(0, samples.length - LIVE_PREVIEW_SEARCH_SECONDS * preview.sampleRate);
+    const cut = findQuietestPoint(samples, searchFrom, samples.length, preview.sampleRate);
+    const rest = samples.slice(cut);
+    preview.pending = [rest];
+    preview.pendingLength = rest.length;
+
+    try {
+        const section = samples.subarray(0, cut);
+        if (calculateRms(section) < LIVE_PREVIEW_MIN_RMS) return;
+
+        const audio = resampleLinear(section, preview.sampleRate, SEGMENT_SAMPLE_RATE);
+        const text = await transcribePreviewAudio(audio, preview);
+        if (text && state.preview === preview) {
+            preview.text = joinText(preview.text, text);
+            renderLivePreview();
+        }
+    } catch (e) {
+        // プレビューの失敗は録音に影響させない
+        console.warn('Live preview failed:', e);
+    } finally {
+        preview.busy = false;
+    }
+}
+
+async function transcribePreviewAudio(audio, preview) {
+    let result;
+    if (preview.local) {
+        const language = getPreferredLanguage();
+        const message = { type: 'transcribe', audio, language: language || undefined };
+        result = { ...await requestLocalWorker(message, [audio.buffer], '', { silent: true }), language };
+    } else {
+        // 直前の認識結果を文脈として渡す
+        const prompt = [getKeywordPrompt(), preview.text.slice(-PROMPT_CONTEXT_LENGTH)].filter(Boolean).join(' ');
+        result = await transcribeBlob(encodeWav(audio, SEGMENT_SAMPLE_RATE), 'preview.wav', prompt);
+    }
+
+    // 確定版と同じ幻覚フィルターを通す
+    return buildTranscriptionContent(result)?.fullText || '';
+}
+
+function calculateRms(samples) {
+    let sumSquares = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sumSquares += samples[i] * samples[i];
+    }
+    return samples.length ? Math.sqrt(sumSquares / samples.length) : 0;
+}
+
+/**
+ * 線形補間でサンプルレートを変換（プレビュー用の簡易版、ローパスフィルターはかけない）
+ */
+function resampleLinear(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples.slice();
+
+    const ratio = fromRate / toRate;
+    const output = new Float32Array(Math.floor(samples.length / ratio));
+    for (let i = 0; i < output.length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const next = samples[Math.min(index + 1, samples.length - 1)];
+        output[i] = samples[index] + (next - samples[index]) * (position - index);
+    }
+    return output;
+}
+
+// ========================================
+// Crash Recovery (録音チャンクの逐次保存)
+// ========================================
+
+/**
+ * 録音セッションを開始し、復旧用のメタデータを保存
+ */
+async function beginRecordingSession(mimeType) {
+    state.recordingSessionId = `rec_${Date.now()}`;
+    state.recordingChunkSeq = 0;
+
+    try {
+        await dbSetMeta(META_KEYS.ACTIVE_RECORDING, {
+            sessionId: state.recordingSessionId,
+            startedAt: Date.now(),
+            mimeType,
+        });
+    } catch (e) {
+        // 保存できなくても録音自体は続行する
+        console.error('Failed to start recording session:', e);
+        handleStorageError(e, '録音の自動保存を開始できませんでした');
+    }
+}
+
+function persistRecordingChunk(blob) {
+    if (!state.recordingSessionId) return;
+
+    const chunk = { sessionId: state.recordingSessionId, seq: state.recordingChunkSeq++, blob };
+    dbPut(DB_STORES.RECORDING_CHUNKS, chunk).catch((e) => {
+        console.error('Failed to persist recording chunk:', e);
+    });
+}
+
+/**
+ * 処理が終わった録音セッションのチャンクを削除
+ */
+async function clearRecordingSession(sessionId = state.recordingSessionId) {
+    if (!sessionId) return;
+
+    try {
+        await dbWrite([DB_STORES.RECORDING_CHUNKS, DB_STORES.META], (tx) => {
+            tx.objectStore(DB_STORES.RECORDING_CHUNKS)
+                .delete(IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]));
+            tx.objectStore(DB_STORES.META).delete(META_KEYS.ACTIVE_RECORDING);
+        });
+    } catch (e) {
+        console.error('Failed to clear recording session:', e);
+    }
+
+    if (state.recordingSessionId === sessionId) {
+        state.recordingSessionId = null;
+    }
+}
+
+/**
+ * 前回終了時に完了していない録音があれば復旧バナーを表示
+ */
+async function checkInterruptedRecording() {
+    try {
+        const session = await dbGetMeta(META_KEYS.ACTIVE_RECORDING);
+        if (!session) return;
+
+        const chunks = await dbGetAllByIndex(DB_STORES.RECORDING_CHUNKS, 'sessionId', session.sessionId);
+        if (chunks.length === 0) {
+            await clearRecordingSession(session.sessionId);
+            return;
+        }
+
+        chunks.sort((a, b) => a.seq - b.seq);
+        state.interruptedRecording = { ...session, chunks: chunks.map(c => c.blob) };
+
+        // チャンクは1秒間隔で保存しているため個数がおおよその録音秒数
+        elements.recoveryInfo.textContent =
+            `${formatDate(new Date(session.startedAt))} 開始・約${formatDuration(chunks.length)}`;
+        elements.recoveryBanner.classList.remove('hidden');
+    } catch (e) {
+        console.error('Failed to check interrupted recording:', e);
+    }
+}
+
+async function recoverInterruptedRecording() {
+    const recording = state.interruptedRecording;
+    if (!recording || state.isRecording || state.isProcessing) return;
+
+    elements.recoveryBanner.classList.add('hidden');
+    state.interruptedRecording = null;
+    state.recordingSessionId = recording.sessionId;
+    state.audioChunks = recording.chunks;
+    state.recordingDuration = recording.chunks.length;
+    await processAudioData();
+}
+
+async function discardInterruptedRecording() {
+    const recording = state.interruptedRecording;
+    if (!recording) return;
+
+    elements.recoveryBanner.classList.add('hidden');
+    state.interruptedRecording = null;
+    await clearRecordingSession(recording.sessionId);
+    showToast('中断された録音を破棄しました', 'info');
+}
+
 // ========================================
 // Volume Meter (モバイル対応版)
 // ========================================
@@ -250,6 +993,14 @@ function startVolumeMonitoring() {
             return;
         }
 
+        // 一時停止中はメーターを0にして待機
+        if (state.isPaused) {
+            state.silenceStartedAt = null;
+            elements.volumeMeter.style.width = '0%';
+            state.volumeAnimationId = requestAnimationFrame(updateMeter);
+            return;
+        }
+
         // TimeDomainDataで正確な音量検出
         state.analyser.getByteTimeDomainData(dataArray);
 
@@ -262,7 +1013,8 @@ function startVolumeMonitoring() {
         const rms = Math.sqrt(sumSquares / bufferLength);
 
         // 感度4倍でパーセント変換（スマホ対応）
-        const volumePercent = Math.min(100, rms * 400);
+        const volumePercent = toVolumePercent(rms);
+        checkAutoStop(rms);
 
         // メーター更新
         if (elements.volumeMeter) {
@@ -284,6 +1036,137 @@ function startVolumeMonitoring() {
     state.volumeAnimationId = requestAnimationFrame(updateMeter);
 }
 
+// ========================================
+// Voice Activity Detection (無音の検出・除去)
+// ========================================
+function toVolumePercent(rms) {
+    return Math.min(100, rms * VOLUME_METER_GAIN);
+}
+
+/**
+ * 設定の閾値（音量メーターの目盛り）より静かか
+ */
+function isSilentRms(rms) {
+    return toVolumePercent(rms) < state.settings.silenceThreshold;
+}
+
+/**
+ * 無音が設定の秒数続いたら録音を停止（停止前はステータスで予告する）
+ * 音量メーターと同じく、画面が非表示の間は判定されない
+ */
+function checkAutoStop(rms) {
+    const limit = state.settings.autoStopSeconds;
+    if (!limit) return;
+
+    const now = Date.now();
+    if (!isSilentRms(rms)) {
+        if (state.silenceStartedAt && now - state.silenceStartedAt >= (limit - AUTO_STOP_WARNING_SECONDS) * 1000) {
+            updateStatus('recording', '録音中... タップで停止');
+        }
+        state.silenceStartedAt = null;
+        return;
+    }
+
+    state.silenceStartedAt = state.silenceStartedAt || now;
+    const remaining = limit - (now - state.silenceStartedAt) / 1000;
+    if (remaining <= 0) {
+        stopRecording();
+        showToast(`${formatDuration(limit)}無音が続いたため録音を停止しました`, 'info');
+    } else if (remaining <= AUTO_STOP_WARNING_SECONDS) {
+        updateStatus('recording', `無音が続いています... ${Math.ceil(remaining)}秒後に自動停止`);
+    }
+}
+
+/**
+ * 長い無音区間を取り除いた16kHz WAVを作成
+ * rangesは残した区間の元の音声での位置（秒）と、除去後の音声での位置（offset）
+ * 削れる時間が短い・デコードできない場合はnullを返し、元の音声をそのまま使う
+ */
+async function trimSilence(audioBlob) {
+    let samples;
+    try {
+        samples = await decodeAudioToMono(audioBlob, SEGMENT_SAMPLE_RATE);
+    } catch (e) {
+        console.warn('Failed to decode audio for silence trimming:', e);
+        return null;
+    }
+
+    const ranges = findSpeechRanges(samples, SEGMENT_SAMPLE_RATE);
+    const keptLength = ranges.reduce((sum, { start, end }) => sum + end - start, 0);
+    const removedSeconds = (samples.length - keptLength) / SEGMENT_SAMPLE_RATE;
+    if (ranges.length === 0 || removedSeconds < SILENCE_TRIM_MIN_SAVING_SECONDS) return null;
+
+    const trimmed = new Float32Array(keptLength);
+    let offset = 0;
+    const timeline = ranges.map(({ start, end }) => {
+        trimmed.set(samples.subarray(start, end), offset);
+        const range = {
+            start: start / SEGMENT_SAMPLE_RATE,
+            end: end / SEGMENT_SAMPLE_RATE,
+            offset: offset / SEGMENT_SAMPLE_RATE,
+        };
+        offset += end - start;
+        return range;
+    });
+
+    return { blob: encodeWav(trimmed, SEGMENT_SAMPLE_RATE), ranges: timeline, removedSeconds };
+}
+
+/**
+ * フレームごとのRMSで無音を判定し、長い無音を除いた区間（サンプル位置）を返す
+ */
+function findSpeechRanges(samples, sampleRate) {
+    const frameSize = Math.floor(SILENCE_FRAME_SECONDS * sampleRate);
+    const minSilence = SILENCE_TRIM_MIN_SECONDS * sampleRate;
+    const padding = Math.floor(SILENCE_TRIM_PADDING_SECONDS * sampleRate);
+    const ranges = [];
+    let speechStart = null;
+    let silenceStart = null;
+
+    for (let pos = 0; pos < samples.length; pos += frameSize) {
+        const silent = isSilentRms(calculateRms(samples.subarray(pos, pos + frameSize)));
+
+        if (!silent) {
+            if (speechStart === null) {
+                speechStart = Math.max(0, pos - padding);
+            } else if (silenceStart !== null && pos - silenceStart >= minSilence) {
+                // 長い無音を挟んだら前の区間を確定して新しい区間を始める
+                ranges.push({ start: speechStart, end: Math.min(samples.length, silenceStart + padding) });
+                speechStart = Math.max(0, pos - padding);
+            }
+            silenceStart = null;
+        } else if (silenceStart === null) {
+            silenceStart = pos;
+        }
+    }
+
+    if (speechStart !== null) {
+        const end = silenceStart === null ? samples.length : Math.min(samples.length, silenceStart + padding);
+        ranges.push({ start: speechStart, end });
+    }
+
+    return ranges;
+}
+
+/**
+ * 無音を除いた音声での時刻を元の音声での時刻に戻す
+ */
+function restoreTrimmedTimestamps(result, ranges) {
+    const toOriginal = (time) => {
+        const range = ranges.findLast(r => r.offset <= time) || ranges[0];
+        return Math.min(range.end, range.start + time - range.offset);
+    };
+
+    return {
+        ...result,
+        segments: (result.segments || []).map(seg => ({
+            ...seg,
+            start: toOriginal(seg.start),
+            end: toOriginal(seg.end),
+        })),
+    };
+}
+
 function stopVolumeMonitoring() {
     if (state.volumeAnimationId) {
         cancelAnimationFrame(state.volumeAnimationId);
@@ -307,316 +1190,3551 @@ function stopVolumeMonitoring() {
 async function processAudioData() {
     if (state.audioChunks.length === 0) {
         showToast('音声データがありません', 'warning');
+        hideLivePreview();
         updateStatus('ready', 'タップして録音開始');
+        await clearRecordingSession();
         return;
     }
 
     state.isProcessing = true;
-    updateStatus('processing', 'AIで文字起こし中...');
-
-    try {
-        // 録音データをBlobに変換
-        const audioBlob = new Blob(state.audioChunks, { type: 'audio/webm' });
 
-        // FormDataを作成
-        const formData = new FormData();
-        formData.append('audio', audioBlob, 'recording.webm');
+    // 録音データをBlobに変換
+    const audioBlob = new Blob(state.audioChunks, { type: 'audio/webm' });
+    const { saved } = await transcribeAudio(audioBlob, {
+        filename: 'recording.webm',
+        duration: state.recordingDuration,
+        translate: state.translateNext,
+    });
 
-        // ========================================
-        // キーワードプロンプトを追加
-        // ========================================
-        const keywordPrompt = getKeywordPrompt();
-        if (keywordPrompt) {
-            formData.append('prompt', keywordPrompt);
-        }
+    state.isProcessing = false;
+    hideLivePreview();
+    updateStatus('ready', 'タップして録音開始');
+    // 保存・送信待ちへの退避に失敗した場合は、次回起動時に復元できるよう録音チャンクを残す
+    if (saved) {
+        await clearRecordingSession();
+    }
+}
 
-        // Groq API呼び出し
-        const response = await fetch(API_ENDPOINT, {
-            method: 'POST',
-            body: formData,
-        });
+/**
+ * 録音・ファイルインポート共通の文字起こしパイプライン
+ * transcriptionは保存した文字起こし（認識できなかった・キューに退避した場合はnull）
+ * savedは音声を保存または送信待ちに退避できたか（認識できず破棄した場合もtrue）
+ *
+ * @param {Blob} audioBlob
+ * @param {Object} options
+ * @param {string} options.filename - APIに送るファイル名（拡張子で形式が判別される）
+ * @param {number} [options.duration] - 音声の長さ（秒）
+ * @param {string} [options.sourceName] - インポート元のファイル名
+ * @param {boolean} [options.openDetail] - 完了後に詳細画面を開くか
+ * @param {string} [options.statusLabel] - 進捗表示の前に付ける文字列（バッチ処理用）
+ * @param {boolean} [options.translate] - 英語翻訳も作成するか
+ * @returns {Promise<{ transcription: Object|null, saved: boolean }>}
+ */
+async function transcribeAudio(audioBlob, {
+    filename, duration = 0, sourceName, openDetail = true, statusLabel = '', translate = false,
+}) {
+    if (audioBlob.size <= MAX_UPLOAD_BYTES) {
+        updateStatus('processing', `${statusLabel}AIで文字起こし中...`);
+    }
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.error || `API error: ${response.status}`);
+    try {
+        // 圧縮しても上限を超える長時間の録音は、サーバーがジョブを処理できる場合のみ非同期ジョブに任せ、
+        // 完了まで送信待ちとして履歴に置く（それ以外は分割送信・端末内へのフォールバックで処理する）
+        if (audioBlob.size > MAX_UPLOAD_BYTES && state.settings.engine !== ENGINES.LOCAL && navigator.onLine
+            && await isJobProcessingAvailable()) {
+            const upload = await compressForUpload(audioBlob, filename, statusLabel);
+            if (upload.blob.size > MAX_UPLOAD_BYTES) {
+                try {
+                    const queued = await submitTranscriptionJob(audioBlob, { filename, duration, sourceName, statusLabel, translate });
+                    return { transcription: null, saved: queued };
+                } catch (error) {
+                    console.warn('Transcription job could not be created, sending segments instead:', error);
+                }
+            }
         }
 
-        const result = await response.json();
+        const result = await transcribeWithoutSilence(audioBlob, filename, statusLabel);
 
-        if (result.success && result.text) {
-            handleTranscriptionResult(result.text);
-        } else {
+        if (!result.text) {
             showToast('音声を認識できませんでした', 'warning');
-            state.isProcessing = false;
-            updateStatus('ready', 'タップして録音開始');
+            return { transcription: null, saved: true };
         }
 
+        return await handleTranscriptionResult(result, audioBlob, {
+            filename, duration, sourceName, openDetail, statusLabel, translate,
+        });
+
     } catch (error) {
         console.error('Transcription failed:', error);
-        showToast(`文字起こしに失敗しました: ${error.message}`, 'error');
-        state.isProcessing = false;
-        updateStatus('ready', 'タップして録音開始');
+        if (error.code === API_ERROR_CODES.EMPTY_AUDIO) {
+            showToast('音声が空のため文字起こしできませんでした', 'warning');
+            return { transcription: null, saved: true };
+        }
+        // 音声を失わないよう送信待ちキューに退避
+        const queued = await queueFailedUpload(audioBlob, error, { filename, duration, sourceName, translate });
+        return { transcription: null, saved: queued };
     }
 }
 
 /**
- * 登録済みキーワードをカンマ区切りのプロンプト文字列に変換
+ * 設定が有効なら長い無音を除いて文字起こしし、タイムスタンプを元の音声の位置に戻す
+ * 保存・再生には元の音声を使う
  */
-function getKeywordPrompt() {
-    // state.keywordsから取得（最も確実）
-    if (state.keywords && state.keywords.length > 0) {
-        return state.keywords.map(k => k.word).join(', ');
+async function transcribeWithoutSilence(audioBlob, filename, statusLabel = '') {
+    if (!state.settings.silenceTrim) {
+        return transcribeWithEngine(audioBlob, filename, statusLabel);
     }
-    return '';
+
+    updateStatus('processing', `${statusLabel}無音を除去中...`);
+    const trimmed = await trimSilence(audioBlob);
+    if (!trimmed) {
+        updateStatus('processing', `${statusLabel}AIで文字起こし中...`);
+        return transcribeWithEngine(audioBlob, filename, statusLabel);
+    }
+
+    updateStatus('processing', `${statusLabel}AIで文字起こし中（無音${formatDuration(trimmed.removedSeconds)}を除去）...`);
+    const result = await transcribeWithEngine(trimmed.blob, 'trimmed.wav', statusLabel);
+    return restoreTrimmedTimestamps(result, trimmed.ranges);
+}
+
+/**
+ * 設定されたエンジンで文字起こし
+ * 自動モードではオフライン・クラウド障害時に端末内エンジンへ切り替える
+ */
+async function transcribeWithEngine(audioBlob, filename, statusLabel = '', task = TASKS.TRANSCRIBE) {
+    const engine = state.settings.engine;
+
+    if (engine === ENGINES.LOCAL || (engine === ENGINES.AUTO && !navigator.onLine)) {
+        return transcribeLocally(audioBlob, statusLabel, task);
+    }
+
+    try {
+        return await transcribeInCloud(audioBlob, filename, statusLabel, task);
+    } catch (error) {
+        if (engine === ENGINES.AUTO && isCloudUnavailableError(error)) {
+            console.warn('Cloud transcription unavailable, falling back to on-device:', error);
+            showToast('クラウドに接続できないため端末内で文字起こしします', 'info');
+            return transcribeLocally(audioBlob, statusLabel, task);
+        }
+        throw error;
+    }
+}
+
+async function transcribeInCloud(audioBlob, filename, statusLabel = '', task = TASKS.TRANSCRIBE) {
+    const upload = await compressForUpload(audioBlob, filename, statusLabel);
+
+    // 圧縮しても上限を超える長時間録音はセグメントに分割して順番に送信
+    if (upload.blob.size > MAX_UPLOAD_BYTES) {
+        return transcribeInSegments(audioBlob, statusLabel, task);
+    }
+
+    const action = task === TASKS.TRANSLATE ? '英語に翻訳中...' : 'AIで文字起こし中...';
+    updateStatus('processing', `${statusLabel}${action}${formatUploadSaving(audioBlob, upload.blob)}`);
+
+    try {
+        return await transcribeBlob(upload.blob, upload.filename, getKeywordPrompt(), task);
+    } catch (error) {
+        // プロバイダー側の上限がより小さい場合も分割して送り直す
+        if (error.code === API_ERROR_CODES.TOO_LARGE) {
+            showToast('ファイルが大きすぎるため分割して送信します', 'info');
+            return transcribeInSegments(audioBlob, statusLabel, task);
+        }
+        throw error;
+    }
+}
+
+/**
+ * 同じ音声の英語翻訳を作成（失敗しても原文の保存は続ける）
+ */
+async function translateAudio(audioBlob, filename, statusLabel = '') {
+    updateStatus('processing', `${statusLabel}英語に翻訳中...`);
+
+    try {
+        const result = await transcribeWithEngine(audioBlob, filename, `${statusLabel}[翻訳] `, TASKS.TRANSLATE);
+        return buildTranscriptionContent({ ...result, language: TRANSLATION_LANGUAGE });
+    } catch (error) {
+        console.error('Translation failed:', error);
+        showToast('英語翻訳の作成に失敗しました', 'warning');
+        return null;
+    }
+}
+
+/**
+ * ネットワーク断（fetchのTypeError）とサーバー側の障害
+ */
+function isCloudUnavailableError(error) {
+    return error instanceof TypeError
+        || error.code === API_ERROR_CODES.PROVIDER_UNAVAILABLE
+        || error.status >= 500;
+}
+
+/**
+ * 音声Blobを1リクエストでAPIに送信し、認識テキストとタイムスタンプ付きセグメントを返す
+ */
+async function transcribeBlob(blob, filename, prompt, task = TASKS.TRANSCRIBE) {
+    return transcribeBlobWithFields(blob, filename, buildTranscribeFields(prompt, task));
+}
+
+/**
+ * 送信待ちキューに保存したフォーム項目（言語・プロンプト・タスク）のまま送信する
+ */
+async function transcribeBlobWithFields(blob, filename, fields) {
+    const result = await postTranscription(blob, filename, fields);
+    if (!result.success) {
+        return { text: '', segments: [] };
+    }
+    return { text: result.text || '', segments: result.segments || [], language: result.language };
+}
+
+/**
+ * APIに送るフォーム項目（送信待ちキューにもそのまま保存される）
+ */
+function buildTranscribeFields(prompt, task = TASKS.TRANSCRIBE) {
+    const fields = {
+        response_format: 'verbose_json',
+        language: state.settings.language,
+        prompt,
+    };
+    if (task === TASKS.TRANSLATE) {
+        fields.task = task;
+    }
+    return fields;
+}
+
+/**
+ * 設定の言語（自動検出ならnull）
+ */
+function getPreferredLanguage() {
+    const language = state.settings.language;
+    return language && language !== AUTO_LANGUAGE ? language : null;
+}
+
+/**
+ * 登録済みキーワードをカンマ区切りのプロンプト文字列に変換
+ */
+function getKeywordPrompt() {
+    // state.keywordsから取得（最も確実）
+    if (state.keywords && state.keywords.length > 0) {
+        return state.keywords.map(k => k.word).join(', ');
+    }
+    return '';
 }
 
 // ========================================
-// Transcription Result Handler
+// On-device Transcription (worker.js)
+// ========================================
+
+/**
+ * 端末内のWhisperで文字起こし（音声は送信しない）
+ */
+async function transcribeLocally(audioBlob, statusLabel = '', task = TASKS.TRANSCRIBE) {
+    updateStatus('processing', `${statusLabel}音声を準備中...`);
+    const audio = await decodeAudioToMono(audioBlob, SEGMENT_SAMPLE_RATE);
+
+    // 自動検出の場合は言語を指定せずモデルに判定させる
+    const language = getPreferredLanguage();
+    const message = { type: 'transcribe', audio, language: language || undefined, task };
+    const result = await requestLocalWorker(message, [audio.buffer], statusLabel);
+    return {
+        text: result.text,
+        segments: result.segments,
+        language: task === TASKS.TRANSLATE ? TRANSLATION_LANGUAGE : language || result.language || null,
+    };
+}
+
+function getLocalWorker() {
+    if (state.localWorker) return state.localWorker;
+
+    state.localWorker = new Worker('./worker.js', { type: 'module' });
+    state.localWorker.addEventListener('message', handleLocalWorkerMessage);
+    state.localWorker.addEventListener('error', (event) => {
+        // モジュールの読み込み失敗などは全リクエストを失敗させて作り直せるようにする
+        console.error('On-device worker error:', event);
+        state.localRequests.forEach(({ reject }) => reject(new Error('端末内エンジンを起動できませんでした')));
+        state.localRequests.clear();
+        state.localWorker = null;
+    });
+    return state.localWorker;
+}
+
+/**
+ * silentのリクエスト（ライブプレビュー）は状態表示を更新しない
+ */
+function requestLocalWorker(message, transfer = [], statusLabel = '', { silent = false } = {}) {
+    const id = ++state.localRequestSeq;
+    return new Promise((resolve, reject) => {
+        state.localRequests.set(id, { resolve, reject, statusLabel, silent });
+        getLocalWorker().postMessage({ ...message, id }, transfer);
+    });
+}
+
+function handleLocalWorkerMessage(event) {
+    const { type, id } = event.data;
+
+    if (type === 'progress') {
+        // モデルのダウンロード進捗（初回のみ）
+        const percent = Math.round(event.data.progress || 0);
+        const [request] = state.localRequests.values();
+        if (!request?.silent) {
+            updateStatus('loading', `${request?.statusLabel || ''}端末内モデルを準備中... ${percent}%`);
+        }
+        return;
+    }
+
+    const request = state.localRequests.get(id);
+    if (!request) return;
+
+    if (type === 'transcribing') {
+        if (!request.silent) {
+            updateStatus('processing', `${request.statusLabel}端末内で文字起こし中...`);
+        }
+        return;
+    }
+
+    state.localRequests.delete(id);
+
+    if (type === 'error') {
+        request.reject(new Error(event.data.message));
+    } else {
+        request.resolve(event.data);
+    }
+}
+
+/**
+ * 端末内モデルを事前にダウンロード（エンジン切り替え時）
+ */
+async function preloadLocalModel() {
+    if (state.isRecording || state.isProcessing) return;
+
+    try {
+        await requestLocalWorker({ type: 'load' });
+        showToast('端末内モデルの準備ができました', 'success');
+    } catch (e) {
+        console.error('Failed to load on-device model:', e);
+        showToast('端末内モデルの読み込みに失敗しました', 'error');
+    }
+    updateStatus('ready', 'タップして録音開始');
+}
+
+// ========================================
+// Settings
+// ========================================
+async function loadSettings() {
+    const stored = await dbGetMeta(META_KEYS.SETTINGS);
+    state.settings = { ...DEFAULT_SETTINGS, ...stored };
+}
+
+function saveSettings() {
+    dbSetMeta(META_KEYS.SETTINGS, state.settings).catch((e) => {
+        console.error('Failed to save settings:', e);
+        handleStorageError(e, '設定の保存に失敗しました');
+    });
+}
+
+function renderSettings() {
+    elements.engineSelect.value = state.settings.engine;
+    elements.languageSelect.value = state.settings.language;
+    elements.apiTokenInput.value = state.settings.apiToken;
+    elements.livePreviewToggle.checked = state.settings.livePreview;
+    elements.cloudPreviewToggle.checked = state.settings.cloudPreview;
+    elements.autoTitleToggle.checked = state.settings.autoTitle;
+    elements.silenceTrimToggle.checked = state.settings.silenceTrim;
+    elements.silenceThresholdInput.value = state.settings.silenceThreshold;
+    elements.silenceThresholdValue.textContent = `${state.settings.silenceThreshold}%`;
+    elements.autoStopSelect.value = String(state.settings.autoStopSeconds);
+    elements.backupAudioToggle.checked = state.settings.backupAudio;
+}
+
+/**
+ * 次の録音・取り込みで英語翻訳も作成するか（このセッションのみ有効）
+ */
+function toggleTranslateNext() {
+    state.translateNext = !state.translateNext;
+    elements.translateToggle.setAttribute('aria-pressed', String(state.translateNext));
+    elements.translateToggle.classList.toggle('translate-toggle-on', state.translateNext);
+    showToast(state.translateNext ? '英語翻訳を作成します' : '英語翻訳をオフにしました', 'info');
+}
+
+function handleLanguageChange() {
+    state.settings.language = elements.languageSelect.value;
+    saveSettings();
+}
+
+function handleBackupAudioChange() {
+    state.settings.backupAudio = elements.backupAudioToggle.checked;
+    saveSettings();
+}
+
+function handleLivePreviewChange() {
+    state.settings.livePreview = elements.livePreviewToggle.checked;
+    saveSettings();
+}
+
+function handleCloudPreviewChange() {
+    state.settings.cloudPreview = elements.cloudPreviewToggle.checked;
+    saveSettings();
+}
+
+function handleAutoTitleChange() {
+    state.settings.autoTitle = elements.autoTitleToggle.checked;
+    saveSettings();
+}
+
+function handleSilenceTrimChange() {
+    state.settings.silenceTrim = elements.silenceTrimToggle.checked;
+    saveSettings();
+}
+
+function handleSilenceThresholdChange() {
+    state.settings.silenceThreshold = Number(elements.silenceThresholdInput.value);
+    elements.silenceThresholdValue.textContent = `${state.settings.silenceThreshold}%`;
+    saveSettings();
+}
+
+function handleAutoStopChange() {
+    state.settings.autoStopSeconds = Number(elements.autoStopSelect.value);
+    saveSettings();
+}
+
+function handleApiTokenChange() {
+    state.settings.apiToken = elements.apiTokenInput.value.trim();
+    saveSettings();
+}
+
+function handleEngineChange() {
+    state.settings.engine = elements.engineSelect.value;
+    saveSettings();
+
+    if (state.settings.engine === ENGINES.LOCAL) {
+        preloadLocalModel();
+    }
+}
+
 // ========================================
-function handleTranscriptionResult(text) {
+// File Import (音声・動画ファイル)
+// ========================================
+function openImportPicker() {
+    if (state.isRecording || state.isProcessing) {
+        showToast('録音・処理中はインポートできません', 'warning');
+        return;
+    }
+    elements.importInput.click();
+}
+
+function handleImportInput(event) {
+    importFiles(Array.from(event.target.files));
+    // 同じファイルを続けて選択できるようにリセット
+    event.target.value = '';
+}
+
+function handleDragEnter(event) {
+    if (!event.dataTransfer?.types.includes('Files')) return;
+    event.preventDefault();
+    // 子要素の出入りでもdragenter/dragleaveが発生するため深さで管理
+    state.dragDepth++;
+    elements.dropOverlay.classList.remove('hidden');
+}
+
+function handleDragLeave() {
+    state.dragDepth = Math.max(0, state.dragDepth - 1);
+    if (state.dragDepth === 0) {
+        elements.dropOverlay.classList.add('hidden');
+    }
+}
+
+function handleDrop(event) {
+    event.preventDefault();
+    state.dragDepth = 0;
+    elements.dropOverlay.classList.add('hidden');
+
+    const files = Array.from(event.dataTransfer?.files || []);
+    if (files.length > 0) {
+        importFiles(files);
+    }
+}
+
+function isSupportedImportFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    return IMPORT_EXTENSIONS.includes(extension) || IMPORT_MIME_TYPES.includes(file.type);
+}
+
+/**
+ * 選択されたファイルを順番に文字起こし
+ * 1件なら完了後に詳細を開き、複数件ならまとめて結果を通知する
+ * openLastResultを指定すると複数件でも最後の結果を詳細で開く
+ */
+async function importFiles(files, { openLastResult = false } = {}) {
+    if (state.isRecording || state.isProcessing) {
+        showToast('録音・処理中はインポートできません', 'warning');
+        return;
+    }
+
+    const supported = files.filter(isSupportedImportFile);
+    if (supported.length === 0) {
+        showToast('対応していないファイル形式です', 'error');
+        return;
+    }
+    if (supported.length < files.length) {
+        showToast(`対応していない${files.length - supported.length}件のファイルを除外しました`, 'warning');
+    }
+
+    state.isProcessing = true;
+    const isBatch = supported.length > 1;
+    let completed = 0;
+    let lastResult = null;
+
+    for (let i = 0; i < supported.length; i++) {
+        const file = supported[i];
+        const statusLabel = isBatch ? `ファイル ${i + 1}/${supported.length}: ` : '';
+        updateStatus('processing', `${statusLabel}${file.name} を読み込み中...`);
+
+        const duration = await getMediaDuration(file);
+        const { transcription } = await transcribeAudio(file, {
+            filename: file.name,
+            duration,
+            sourceName: file.name,
+            openDetail: !isBatch,
+            statusLabel,
+            translate: state.translateNext,
+        });
+        if (transcription) {
+            completed++;
+            lastResult = transcription;
+        }
+    }
+
     state.isProcessing = false;
+    updateStatus('ready', 'タップして録音開始');
+
+    if (isBatch) {
+        showToast(`${supported.length}件中${completed}件の文字起こしが完了しました`,
+            completed === supported.length ? 'success' : 'warning');
+        if (openLastResult && lastResult) {
+            navigateToDetail(lastResult.id);
+        }
+    }
+}
+
+// ========================================
+// Share Target & File Handlers
+// ========================================
+
+/**
+ * 「ファイルを開く」から起動された場合（manifest.jsonのfile_handlers）
+ */
+function setupFileLaunchHandlers() {
+    if (!('launchQueue' in window)) return;
+
+    window.launchQueue.setConsumer(async (launchParams) => {
+        if (!launchParams.files?.length) return;
+        const files = await Promise.all(launchParams.files.map(handle => handle.getFile()));
+        importFiles(files, { openLastResult: true });
+    });
+}
+
+/**
+ * 共有シートからService Worker経由で受け取ったファイルを文字起こし
+ */
+async function importSharedFiles() {
+    const params = new URLSearchParams(location.search);
+    if (params.get('action') !== 'shared') return;
+
+    // リロードで再実行されないようURLを戻す
+    history.replaceState(null, '', location.pathname);
+
+    let records;
+    try {
+        records = await dbGetAll(DB_STORES.SHARED_FILES);
+        await dbWrite(DB_STORES.SHARED_FILES, (tx) => tx.objectStore(DB_STORES.SHARED_FILES).clear());
+    } catch (e) {
+        console.error('Failed to read shared files:', e);
+        showToast('共有されたファイルを読み込めませんでした', 'error');
+        return;
+    }
+
+    if (records.length === 0) {
+        showToast('共有されたファイルがありません', 'warning');
+        return;
+    }
+
+    const files = records.map(r => new File([r.blob], r.name, { type: r.type }));
+    await importFiles(files, { openLastResult: true });
+}
+
+/**
+ * メタデータから再生時間（秒）を取得（取得できなければ0）
+ */
+function getMediaDuration(blob) {
+    return new Promise((resolve) => {
+        const media = document.createElement('audio');
+        const url = URL.createObjectURL(blob);
+        let settled = false;
+        const done = (duration) => {
+            if (settled) return;
+            settled = true;
+            URL.revokeObjectURL(url);
+            resolve(Number.isFinite(duration) ? duration : 0);
+        };
+
+        media.preload = 'metadata';
+        media.onloadedmetadata = () => done(media.duration);
+        media.onerror = () => done(0);
+        setTimeout(() => done(0), 5000);
+        media.src = url;
+    });
+}
+
+// ========================================
+// Upload Compression (encoder-worker.js)
+// ========================================
+
+/**
+ * アップロード前に16kHzモノラルへ変換して圧縮（Opus、非対応ならWAV）
+ * 元より小さくならない・変換できない場合は元の音声をそのまま返す
+ */
+function compressForUpload(audioBlob, filename, statusLabel = '') {
+    if (!state.compressedUploads.has(audioBlob)) {
+        state.compressedUploads.set(audioBlob, encodeForUpload(audioBlob, filename, statusLabel));
+    }
+    return state.compressedUploads.get(audioBlob);
+}
+
+async function encodeForUpload(audioBlob, filename, statusLabel) {
+    updateStatus('processing', `${statusLabel}音声を圧縮中...`);
+
+    try {
+        // デコードとリサンプルはOfflineAudioContextが必要なためメインスレッドで行う
+        const samples = await decodeAudioToMono(audioBlob, SEGMENT_SAMPLE_RATE);
+        const { blob, extension } = await requestUploadEncoding(samples, SEGMENT_SAMPLE_RATE);
+        if (blob.size < audioBlob.size) {
+            return { blob, filename: `${filename.replace(/\.[^.]+$/, '')}.${extension}` };
+        }
+    } catch (e) {
+        console.warn('Failed to compress audio for upload:', e);
+    }
+
+    return { blob: audioBlob, filename };
+}
+
+function getEncoderWorker() {
+    if (state.encoderWorker) return state.encoderWorker;
+
+    state.encoderWorker = new Worker('./encoder-worker.js');
+    state.encoderWorker.addEventListener('message', (event) => {
+        const { type, id } = event.data;
+        const request = state.encoderRequests.get(id);
+        if (!request) return;
+
+        state.encoderRequests.delete(id);
+        if (type === 'error') {
+            request.reject(new Error(event.data.message));
+        } else {
+            request.resolve(event.data);
+        }
+    });
+    state.encoderWorker.addEventListener('error', (event) => {
+        console.error('Encoder worker error:', event);
+        state.encoderRequests.forEach(({ reject }) => reject(new Error('音声の圧縮に失敗しました')));
+        state.encoderRequests.clear();
+        state.encoderWorker.terminate();
+        state.encoderWorker = null;
+    });
+    return state.encoderWorker;
+}
+
+function requestUploadEncoding(samples, sampleRate) {
+    const id = ++state.encoderRequestSeq;
+    return new Promise((resolve, reject) => {
+        state.encoderRequests.set(id, { resolve, reject });
+        getEncoderWorker().postMessage({ id, samples, sampleRate }, [samples.buffer]);
+    });
+}
+
+/**
+ * 処理中のステータスに表示する圧縮の効果（例: "（12.3MB → 1.1MB）"）
+ */
+function formatUploadSaving(original, compressed) {
+    if (compressed === original) return '';
+    return `（${formatBytes(original.size)} → ${formatBytes(compressed.size)}）`;
+}
+
+// ========================================
+// Long Recording Segmentation
+// ========================================
+
+/**
+ * 長時間録音を無音位置で分割し、セグメントごとに文字起こしして結合
+ * fieldsを渡すと送信待ちキューに保存した言語・プロンプト・タスクで送信する（省略時は現在の設定）
+ */
+async function transcribeInSegments(audioBlob, statusLabel = '', task = TASKS.TRANSCRIBE,
+    fields = buildTranscribeFields(getKeywordPrompt(), task)) {
+    updateStatus('processing', `${statusLabel}音声を分割中...`);
+    const parts = await splitAudioIntoSegments(audioBlob);
+    const results = [];
+
+    for (let i = 0; i < parts.length; i++) {
+        updateStatus('processing', `${statusLabel}文字起こし中... セグメント ${i + 1}/${parts.length}`);
+
+        // 前セグメント末尾を文脈として渡し、境界での表記揺れを抑える
+        const context = (results[i - 1]?.text || '').slice(-PROMPT_CONTEXT_LENGTH);
+        const prompt = [fields.prompt, context].filter(Boolean).join(' ');
+
+        const result = await transcribeBlobWithFields(parts[i].blob, `segment_${i + 1}.wav`, { ...fields, prompt });
+        results.push({ ...result, start: parts[i].start, end: parts[i].end });
+    }
+
+    return mergeSegmentResults(results);
+}
+
+/**
+ * セグメントごとの結果（start/endは元の録音内での位置）を1つの結果にまとめる
+ */
+function mergeSegmentResults(results) {
+    let merged = '';
+    let mergedSegments = [];
+    let language = null;
+
+    results.forEach((result, i) => {
+        language = language || result.language;
+        merged = mergeOverlappingText(merged, (result.text || '').trim());
+        mergedSegments = mergeOverlappingSegments(mergedSegments, result.segments || [], result, results[i - 1]);
+    });
+
+    // タイムスタンプが揃っていればセグメントから本文を組み立てる方が重複に強い
+    if (mergedSegments.length > 0) {
+        merged = mergedSegments.reduce((text, seg) => joinText(text, seg.text), '');
+    }
+
+    return { text: merged, segments: mergedSegments, language };
+}
+
+// ========================================
+// Transcription Jobs (長時間録音のサーバー処理)
+// ========================================
+
+/**
+ * サーバーが非同期ジョブを処理できるか（JOB_WORKERが未設定のサーバーでは分割して順番に送信する）
+ * 確認できなかった場合は使わず、次回改めて確認する
+ */
+async function isJobProcessingAvailable() {
+    if (state.jobsEnabled === null) {
+        try {
+            state.jobsEnabled = Boolean((await fetchJobAvailability()).enabled);
+        } catch (error) {
+            console.warn('Failed to check transcription job support:', error);
+            return false;
+        }
+    }
+    return state.jobsEnabled;
+}
+
+/**
+ * 長時間の録音を分割してジョブを作成し、送信待ちとして履歴に追加
+ * 完了はバックグラウンドで確認する（再読み込み後はretryUploadQueueが確認を再開する）
+ */
+async function submitTranscriptionJob(audioBlob, { filename, duration, sourceName, statusLabel, translate }) {
+    const fields = buildTranscribeFields(getKeywordPrompt());
+    const jobId = await startTranscriptionJob(audioBlob, fields, statusLabel);
+
+    const placeholder = await addQueuedUpload(audioBlob, {
+        filename, duration, sourceName, translate, fields, jobId, segmented: true,
+    });
+    if (!placeholder) return false;
+
+    showToast('サーバーで文字起こししています。完了すると履歴に反映されます', 'info');
+    watchTranscriptionJob(placeholder.id);
+    return true;
+}
+
+async function startTranscriptionJob(audioBlob, fields, statusLabel = '') {
+    updateStatus('processing', `${statusLabel}音声を分割中...`);
+    const parts = await splitAudioIntoSegments(audioBlob);
+
+    updateStatus('processing', `${statusLabel}音声をアップロード中...`);
+    try {
+        const job = await createTranscriptionJob(parts, fields, (uploaded, total) => {
+            updateStatus('processing', `${statusLabel}音声をアップロード中... (${uploaded}/${total})`);
+        });
+        return job.id;
+    } catch (error) {
+        // サーバーの設定が変わった場合は以降ジョブを使わない
+        if (error.code === API_ERROR_CODES.JOBS_DISABLED) {
+            state.jobsEnabled = false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * 分割が必要な送信待ちエントリを文字起こし
+ * ジョブがあれば完了まで待ち、なければサーバーがジョブを処理できる場合のみ作成する（それ以外は分割して送信）
+ * ジョブが失敗・停止した場合は次の再試行で作り直し、見つからない場合はその場で分割送信に切り替える
+ */
+async function transcribeQueuedJob(entry) {
+    if (!entry.jobId) {
+        try {
+            if (await isJobProcessingAvailable()) {
+                entry.jobId = await startTranscriptionJob(entry.blob, entry.fields);
+            }
+        } catch (error) {
+            if (error.code !== API_ERROR_CODES.JOBS_DISABLED) throw error;
+        }
+        if (!entry.jobId) return transcribeQueuedSegments(entry);
+        // アップロード中に録音が削除された場合は作成したジョブも消す
+        if (!await updateQueuedUpload(entry)) {
+            deleteTranscriptionJob(entry.jobId).catch(() => { });
+            throw new Error('Queued upload was deleted');
+        }
+    }
+
+    try {
+        return await waitForTranscriptionJob(entry.id, entry.jobId);
+    } catch (error) {
+        if (error instanceof TypeError) throw error;
+
+        deleteTranscriptionJob(entry.jobId).catch(() => { });
+        entry.jobId = null;
+        // 録音の削除でジョブが消えた場合は分割送信に切り替えない
+        if (!await updateQueuedUpload(entry).catch(() => true)) throw error;
+
+        if (error.code === API_ERROR_CODES.NOT_FOUND) {
+            return transcribeQueuedSegments(entry);
+        }
+        throw error;
+    } finally {
+        setJobProgress(entry.id, null);
+    }
+}
+
+/**
+ * キューに保存したフォーム項目のまま分割して送信（英語翻訳の有無はentry.translateで完了時に反映される）
+ */
+function transcribeQueuedSegments(entry) {
+    const fields = entry.fields || buildTranscribeFields(getKeywordPrompt());
+    return transcribeInSegments(entry.blob, '', fields.task || TASKS.TRANSCRIBE, fields);
+}
+
+async function waitForTranscriptionJob(id, jobId) {
+    let completed = -1;
+    let progressedAt = Date.now();
+
+    for (;;) {
+        const job = await fetchTranscriptionJob(jobId);
+        setJobProgress(id, job.progress);
+
+        if (job.status === JOB_STATUS.COMPLETED) {
+            return mergeSegmentResults(job.result.parts);
+        }
+        if (job.status === JOB_STATUS.FAILED) {
+            const error = new Error(job.error?.message || 'Transcription job failed');
+            error.code = job.error?.code;
+            throw error;
+        }
+
+        // 処理が進まないまま待ち続けないよう、完了パート数が止まったら打ち切る
+        if (job.progress.completed !== completed) {
+            completed = job.progress.completed;
+            progressedAt = Date.now();
+        } else if (Date.now() - progressedAt > JOB_STALL_TIMEOUT_MS) {
+            throw new Error('Transcription job stalled');
+        }
+
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    }
+}
+
+/**
+ * 作成直後のジョブを録音・処理と並行して見守る
+ */
+async function watchTranscriptionJob(id) {
+    if (state.watchedJobs.has(id)) return;
+    state.watchedJobs.add(id);
+
+    try {
+        const entry = await dbGet(DB_STORES.UPLOAD_QUEUE, id);
+        if (!entry) return;
+
+        try {
+            entry.result = await transcribeQueuedJob(entry);
+            entry.status = UPLOAD_STATUS.DONE;
+        } catch (error) {
+            console.error('Transcription job failed:', error);
+            // 接続断・レート制限は次回のretryUploadQueueで確認を再開する
+            if (!recordUploadFailure(entry, error)) return;
+        }
+        await updateQueuedUpload(entry);
+        await applyCompletedUploads();
+    } catch (e) {
+        console.error('Failed to watch transcription job:', e);
+    } finally {
+        state.watchedJobs.delete(id);
+    }
+}
+
+/**
+ * 履歴カードにジョブの進捗（完了パート数）を表示
+ */
+function setJobProgress(id, progress) {
+    const previous = state.jobProgress.get(id);
+    if (!progress) {
+        state.jobProgress.delete(id);
+    } else if (previous?.completed === progress.completed && previous?.total === progress.total) {
+        return;
+    } else {
+        state.jobProgress.set(id, progress);
+    }
+    renderHistoryList();
+}
+
+/**
+ * 音声を16kHzモノラルにデコードし、重なりを持つWAVセグメントに分割
+ * start/endは元の録音内での位置（秒）
+ */
+async function splitAudioIntoSegments(audioBlob) {
+    const samples = await decodeAudioToMono(audioBlob, SEGMENT_SAMPLE_RATE);
+    return findSegmentBoundaries(samples, SEGMENT_SAMPLE_RATE)
+        .map(({ start, end }) => ({
+            blob: encodeWav(samples.subarray(start, end), SEGMENT_SAMPLE_RATE),
+            start: start / SEGMENT_SAMPLE_RATE,
+            end: end / SEGMENT_SAMPLE_RATE,
+        }));
+}
+
+async function decodeAudioToMono(blob, sampleRate) {
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    // decodeAudioDataはコンテキストのサンプルレートへリサンプルされる
+    const context = new OfflineContext(1, 1, sampleRate);
+    const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+
+    if (buffer.numberOfChannels === 1) {
+        return buffer.getChannelData(0);
+    }
+
+    // ステレオ以上はモノラルにミックスダウン
+    const mono = new Float32Array(buffer.length);
+    for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+        const data = buffer.getChannelData(ch);
+        for (let i = 0; i < data.length; i++) {
+            mono[i] += data[i] / buffer.numberOfChannels;
+        }
+    }
+    return mono;
+}
+
+/**
+ * 目標長の手前で最も静かなフレームを分割点として選び、
+ * 次のセグメントは重なり分だけ手前から開始する
+ */
+function findSegmentBoundaries(samples, sampleRate) {
+    const target = SEGMENT_TARGET_SECONDS * sampleRate;
+    const overlap = SEGMENT_OVERLAP_SECONDS * sampleRate;
+    const searchRange = SILENCE_SEARCH_SECONDS * sampleRate;
+    const boundaries = [];
+    let start = 0;
+
+    while (start < samples.length) {
+        let end = start + target;
+        if (end >= samples.length) {
+            boundaries.push({ start, end: samples.length });
+            break;
+        }
+
+        end = findQuietestPoint(samples, end - searchRange, end, sampleRate);
+        boundaries.push({ start, end });
+        start = end - overlap;
+    }
+
+    return boundaries;
+}
+
+function findQuietestPoint(samples, from, to, sampleRate) {
+    const frameSize = Math.floor(SILENCE_FRAME_SECONDS * sampleRate);
+    let quietest = to;
+    let minEnergy = Infinity;
+
+    for (let pos = from; pos + frameSize <= to; pos += frameSize) {
+        let sumSquares = 0;
+        for (let i = pos; i < pos + frameSize; i++) {
+            sumSquares += samples[i] * samples[i];
+        }
+        if (sumSquares < minEnergy) {
+            minEnergy = sumSquares;
+            quietest = pos + Math.floor(frameSize / 2);
+        }
+    }
+
+    return quietest;
+}
+
+/**
+ * Float32 PCMを16bitモノラルWAVにエンコード
+ */
+function encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) {
+            view.setUint8(offset + i, str.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);             // fmtチャンクサイズ
+    view.setUint16(20, 1, true);              // PCM
+    view.setUint16(22, 1, true);              // モノラル
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // バイトレート
+    view.setUint16(32, 2, true);              // ブロックサイズ
+    view.setUint16(34, 16, true);             // ビット深度
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    for (let i = 0; i < samples.length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * 重なり区間で二重に認識されたテキストを取り除いて連結
+ * 前テキスト末尾付近で終わり、次テキスト先頭付近から始まる最長共通部分を境界とみなす
+ * （よくある言い回しが離れた位置で一致して本文を削らないよう、位置を限定する）
+ */
+function mergeOverlappingText(previous, next) {
+    if (!previous) return next;
+    if (!next) return previous;
+
+    const tailStart = Math.max(0, previous.length - OVERLAP_MATCH_WINDOW);
+    const tail = previous.slice(tailStart);
+    const head = next.slice(0, OVERLAP_MATCH_WINDOW);
+
+    // 最長共通部分文字列（DP）
+    let bestLength = 0;
+    let bestTailEnd = 0;
+    let bestHeadEnd = 0;
+    let prevRow = new Array(head.length + 1).fill(0);
+    for (let i = 1; i <= tail.length; i++) {
+        const row = new Array(head.length + 1).fill(0);
+        for (let j = 1; j <= head.length; j++) {
+            if (tail[i - 1] === head[j - 1]) {
+                row[j] = prevRow[j - 1] + 1;
+                const nearEdges = tail.length - i <= OVERLAP_EDGE_SLACK && j - row[j] <= OVERLAP_EDGE_SLACK;
+                if (nearEdges && row[j] > bestLength) {
+                    bestLength = row[j];
+                    bestTailEnd = i;
+                    bestHeadEnd = j;
+                }
+            }
+        }
+        prevRow = row;
+    }
+
+    if (bestLength >= MIN_OVERLAP_MATCH) {
+        return previous.slice(0, tailStart + bestTailEnd) + next.slice(bestHeadEnd);
+    }
+
+    // 重なりが見つからない場合は単純に連結
+    return joinText(previous, next);
+}
+
+/**
+ * セグメントの時刻を録音全体の位置に補正し、重なり区間の中央で前後を切り替える
+ */
+function mergeOverlappingSegments(merged, segments, part, previousPart) {
+    const shifted = segments.map(seg => ({
+        ...seg,
+        start: seg.start + part.start,
+        end: seg.end + part.start,
+    }));
+
+    if (!previousPart) return shifted;
+
+    const cutoff = (part.start + previousPart.end) / 2;
+    const midpoint = seg => (seg.start + seg.end) / 2;
+    return merged
+        .filter(seg => midpoint(seg) < cutoff)
+        .concat(shifted.filter(seg => midpoint(seg) >= cutoff));
+}
+
+/**
+ * テキストを連結（英数字同士のみ空白を挟む）
+ */
+function joinText(previous, next) {
+    if (!previous) return next;
+    if (!next) return previous;
+    const separator = /[\x21-\x7e]$/.test(previous) && /^[\x21-\x7e]/.test(next) ? ' ' : '';
+    return previous + separator + next;
+}
+
+// ========================================
+// Transcription Result Handler
+// ========================================
+async function handleTranscriptionResult(result, audioBlob, {
+    filename, duration, sourceName, openDetail, statusLabel, translate,
+}) {
+    const content = buildTranscriptionContent(result);
+
+    if (!content) {
+        showToast('音声が聞き取れませんでした', 'warning');
+        return { transcription: null, saved: true };
+    }
+
+    const translation = translate ? await translateAudio(audioBlob, filename, statusLabel) : null;
+
+    // 保存
+    const newTranscription = createTranscription(content.fullText, {
+        segments: content.segments,
+        language: content.language,
+        translation,
+        duration,
+        sourceName,
+    });
+    state.transcriptions.unshift(newTranscription);
+    const saved = await saveTranscription(newTranscription);
+    await saveAudio(newTranscription.id, audioBlob);
+    renderHistoryList();
+
+    if (openDetail) {
+        navigateToDetail(newTranscription.id);
+        showToast('認識が完了しました', 'success');
+    }
+    return { transcription: newTranscription, saved };
+}
+
+/**
+ * APIの認識結果に幻覚フィルターとキーワード処理を適用
+ * 何も残らなければnullを返す
+ */
+function buildTranscriptionContent({ text = '', segments = [], language = null }) {
+    // 幻覚フィルター適用（セグメントがあれば無音区間の誤認識を先に除外）
+    const keptSegments = filterHallucinatedSegments(segments, language);
+    // セグメントがすべて除外された場合、本文に戻すと除外した誤認識が復活するため何も残さない
+    if (segments.length > 0 && keptSegments.length === 0) return null;
+    const source = keptSegments.length > 0
+        ? keptSegments.reduce((joined, seg) => joinText(joined, seg.text), '')
+        : text.trim();
+    const cleaned = filterHallucinations(source, language);
+
+    if (!cleaned) return null;
+
+    // キーワード処理（大文字小文字統一）
+    return {
+        fullText: processKeywords(cleaned),
+        segments: keptSegments.map(seg => ({ ...seg, text: processKeywords(seg.text) })),
+        language: language || null,
+    };
+}
+
+// ========================================
+// Offline Upload Queue
+// ========================================
+
+/**
+ * 送信に失敗した録音を送信待ちの履歴として保存し、再送を予約
+ * @returns {Promise<boolean>} 送信待ちに保存できたか
+ */
+async function queueFailedUpload(audioBlob, error, { filename, duration, sourceName, translate = false }) {
+    // 端末内のみの設定では再試行も端末内で行う
+    const local = state.settings.engine === ENGINES.LOCAL;
+    // 再送しても成功しない失敗は自動再送せず、手動の再試行を待つ
+    const permanent = isPermanentUploadError(error);
+    const lastError = permanent ? getUploadErrorMessage(error) : null;
+    const upload = local ? null : await prepareQueuedUpload(audioBlob, filename);
+
+    const placeholder = await addQueuedUpload(audioBlob, {
+        filename,
+        duration,
+        sourceName,
+        translate,
+        local,
+        upload,
+        status: permanent ? UPLOAD_STATUS.FAILED : UPLOAD_STATUS.PENDING,
+        lastError,
+        errorMessage: `文字起こしに失敗しました: ${error.message}`,
+    });
+    if (!placeholder) return false;
+
+    if (permanent) {
+        showToast(lastError, 'error');
+        return true;
+    }
+
+    if (isRateLimitedError(error)) {
+        scheduleRateLimitedRetry(error);
+        return true;
+    }
+
+    const offline = !local && (!navigator.onLine || error instanceof TypeError);
+    showToast(offline
+        ? 'オフラインのため送信待ちに追加しました'
+        : '文字起こしに失敗したため再試行待ちに追加しました', 'warning');
+
+    scheduleUploadRetry();
+    return true;
+}
+
+/**
+ * 送信待ちに置く音声を通常の送信と同じく無音除去・圧縮しておく
+ * Service Workerの再送は音声を変換できず、元の音声では上限を超える場合があるため
+ * @returns {Promise<{ blob: Blob, filename: string, trimRanges: Array|null }|null>} 変換できなければnull
+ */
+async function prepareQueuedUpload(audioBlob, filename) {
+    try {
+        const trimmed = state.settings.silenceTrim ? await trimSilence(audioBlob) : null;
+        const upload = trimmed
+            ? await compressForUpload(trimmed.blob, 'trimmed.wav')
+            : await compressForUpload(audioBlob, filename);
+        if (upload.blob === audioBlob) return null;
+        return { blob: upload.blob, filename: upload.filename, trimRanges: trimmed?.ranges || null };
+    } catch (e) {
+        console.warn('Failed to prepare queued upload:', e);
+        return null;
+    }
+}
+
+/**
+ * 音声を送信待ちキューに追加し、履歴に仮の文字起こしを置く（保存に失敗した場合はnull）
+ * uploadはprepareQueuedUploadの結果（送信用の音声で上限に収まれば分割しない）
+ */
+async function addQueuedUpload(audioBlob, {
+    filename, duration, sourceName, translate = false, local = false, upload = null,
+    fields = buildTranscribeFields(getKeywordPrompt()),
+    segmented = (upload?.blob || audioBlob).size > MAX_UPLOAD_BYTES,
+    jobId = null, status = UPLOAD_STATUS.PENDING, lastError = null,
+    errorMessage = '送信待ちの保存に失敗しました',
+}) {
+    const placeholder = createTranscription('', { duration, sourceName });
+    placeholder.status = status;
+    if (lastError) {
+        placeholder.lastError = lastError;
+    }
+    // 分割する録音は元の音声から作り直すため送信用の音声は保存しない
+    const sendable = segmented ? null : upload;
+
+    try {
+        await enqueueUpload({
+            id: placeholder.id,
+            blob: audioBlob,
+            filename,
+            fields,
+            segmented,
+            local,
+            translate,
+            status,
+            lastError,
+            jobId,
+            uploadBlob: sendable?.blob,
+            uploadFilename: sendable?.filename,
+            trimRanges: sendable?.trimRanges,
+        });
+    } catch (e) {
+        console.error('Failed to queue upload:', e);
+        handleStorageError(e, errorMessage);
+        return null;
+    }
+
+    state.transcriptions.unshift(placeholder);
+    await saveTranscription(placeholder);
+    await saveAudio(placeholder.id, audioBlob);
+    renderHistoryList();
+    return placeholder;
+}
+
+/**
+ * エラーコードに応じた利用者向けメッセージ
+ */
+function getUploadErrorMessage(error) {
+    switch (error.code) {
+        case API_ERROR_CODES.UNAUTHORIZED:
+            return 'APIトークンが必要か、正しくありません。設定を確認してから再試行してください';
+        case API_ERROR_CODES.FORBIDDEN:
+            return 'このサイトからの文字起こしは許可されていません';
+        case API_ERROR_CODES.TOO_LARGE:
+            return 'ファイルが大きすぎます。短く分割してから取り込んでください';
+        case API_ERROR_CODES.UNSUPPORTED_FORMAT:
+            return '対応していない音声形式です';
+        case API_ERROR_CODES.EMPTY_AUDIO:
+            return '音声が空です';
+        case API_ERROR_CODES.RATE_LIMITED:
+            return 'リクエストが混み合っています';
+        case API_ERROR_CODES.QUOTA_EXCEEDED:
+            return '本日の文字起こし上限に達しました';
+        case API_ERROR_CODES.PROVIDER_UNAVAILABLE:
+            return '文字起こしサービスに接続できません';
+        default:
+            return error.message;
+    }
+}
+
+/**
+ * レート制限時はRetry-Afterの秒数だけ待って再送（Background Syncにも登録しておく）
+ */
+function scheduleRateLimitedRetry(error) {
+    const seconds = Math.max(1, Math.ceil(error.retryAfter || RATE_LIMIT_RETRY_SECONDS));
+    showToast(error.code === API_ERROR_CODES.QUOTA_EXCEEDED
+        ? '本日の文字起こし上限に達したため、明日自動で再送します'
+        : `混み合っているため${seconds}秒後に再送します`, 'warning');
+
+    clearTimeout(state.uploadRetryTimer);
+    state.uploadRetryTimer = setTimeout(() => {
+        state.uploadRetryTimer = null;
+        retryUploadQueue();
+    }, seconds * 1000);
+
+    scheduleUploadRetry();
+}
+
+/**
+ * Background Syncが使えればService Workerに再送を任せる
+ */
+async function scheduleUploadRetry() {
+    try {
+        // readyは登録失敗時に解決しないためgetRegistrationを使う
+        const registration = await navigator.serviceWorker?.getRegistration();
+        if (registration?.active && registration.sync) {
+            await registration.sync.register(UPLOAD_QUEUE_SYNC_TAG);
+            return true;
+        }
+    } catch (e) {
+        console.warn('Background sync unavailable:', e);
+    }
+    return false;
+}
+
+/**
+ * 起動時・オンライン復帰時の再送
+ * Background Sync非対応の環境と、分割が必要な長時間録音はここで処理する
+ */
+async function retryUploadQueue() {
+    if (state.isRecording || state.isProcessing) return;
+
+    // オフライン時は端末内エンジンのエントリだけを処理する
+    const online = navigator.onLine;
+    const delegated = online && await scheduleUploadRetry();
+    const completed = await processUploadQueue({
+        // Service Workerに任せたエントリ・見守り中のジョブは二重送信しない
+        filter: (entry) => !state.watchedJobs.has(entry.id)
+            && (entry.local || (online && (entry.segmented || !delegated))),
+        transcribe: async (entry) => {
+            try {
+                if (entry.local) return await transcribeLocally(entry.blob);
+                if (entry.segmented) return await transcribeQueuedJob(entry);
+                return await postQueuedUpload(entry);
+            } catch (error) {
+                // レート制限で中断したキューは待機後に再開する
+                if (isRateLimitedError(error)) {
+                    scheduleRateLimitedRetry(error);
+                }
+                throw error;
+            }
+        },
+    });
+
+    if (completed > 0) {
+        updateStatus('ready', 'タップして録音開始');
+    }
+    await applyCompletedUploads();
+}
+
+/**
+ * 再送が完了したエントリを履歴に取り込み、失敗したものは状態を反映
+ */
+async function applyCompletedUploads() {
+    let entries;
+    try {
+        entries = await dbGetAll(DB_STORES.UPLOAD_QUEUE);
+    } catch (e) {
+        console.error('Failed to read upload queue:', e);
+        return;
+    }
+
+    for (const entry of entries) {
+        const transcription = state.transcriptions.find(t => t.id === entry.id);
+        if (!transcription) {
+            await dbDelete(DB_STORES.UPLOAD_QUEUE, entry.id).catch(() => { });
+            continue;
+        }
+
+        if (entry.status === UPLOAD_STATUS.DONE) {
+            await completeQueuedTranscription(transcription, entry);
+        } else if (transcription.status !== entry.status) {
+            transcription.status = entry.status;
+            transcription.lastError = entry.lastError;
+            await saveTranscription(transcription);
+        }
+    }
+
+    renderHistoryList();
+}
+
+async function completeQueuedTranscription(transcription, entry) {
+    const result = entry.trimRanges && entry.result
+        ? restoreTrimmedTimestamps(entry.result, entry.trimRanges)
+        : entry.result;
+    const content = buildTranscriptionContent(result || {});
+
+    if (!content) {
+        // 手動で再試行できるようキューには残す
+        entry.status = UPLOAD_STATUS.FAILED;
+        entry.lastError = '音声を認識できませんでした';
+        await dbPut(DB_STORES.UPLOAD_QUEUE, entry).catch(() => { });
+        transcription.status = entry.status;
+        transcription.lastError = entry.lastError;
+        await saveTranscription(transcription);
+        return;
+    }
+
+    Object.assign(transcription, { ...content, preview: makePreview(content.fullText) });
+    applyAutoTitle(transcription);
+    if (entry.translate) {
+        transcription.translation = await translateAudio(entry.blob, entry.filename);
+    }
+    delete transcription.status;
+    delete transcription.lastError;
+
+    if (await saveTranscription(transcription)) {
+        await dbDelete(DB_STORES.UPLOAD_QUEUE, transcription.id).catch(() => { });
+        // 結果を取り込んだジョブはサーバーから削除
+        if (entry.jobId) {
+            deleteTranscriptionJob(entry.jobId).catch(() => { });
+        }
+        showToast('送信待ちの録音を文字起こししました', 'success');
+    }
+}
+
+/**
+ * 失敗した送信を手動で再試行（履歴カードのボタンから呼ばれる）
+ */
+async function retryUpload(id) {
+    const entry = await dbGet(DB_STORES.UPLOAD_QUEUE, id).catch(() => null);
+    if (!entry) {
+        showToast('再送できる音声がありません', 'error');
+        return;
+    }
+
+    entry.status = UPLOAD_STATUS.PENDING;
+    entry.attempts = 0;
+    await dbPut(DB_STORES.UPLOAD_QUEUE, entry);
+
+    const transcription = state.transcriptions.find(t => t.id === id);
+    if (transcription) {
+        transcription.status = UPLOAD_STATUS.PENDING;
+        await saveTranscription(transcription);
+    }
+    renderHistoryList();
+    showToast('再送を開始しました', 'info');
+    await retryUploadQueue();
+}
+
+// ========================================
+// Hallucination Filter
+// ========================================
+
+/**
+ * 言語に応じた禁止ワード（言語不明なら全言語分）
+ */
+function getHallucinationWords(language) {
+    const byLanguage = HALLUCINATION_WORDS_BY_LANGUAGE[language]
+        || Object.values(HALLUCINATION_WORDS_BY_LANGUAGE).flat();
+    return [...HALLUCINATION_WORDS_COMMON, ...byLanguage];
+}
+
+/**
+ * Whisper自身が無音と判定したセグメントを除外し、残りは本文と同じく文単位で禁止ワードを取り除く
+ */
+function filterHallucinatedSegments(segments, language) {
+    if (!segments || segments.length === 0) return [];
+
+    return segments
+        .filter(seg => !(seg.no_speech_prob > NO_SPEECH_THRESHOLD && seg.avg_logprob < LOW_LOGPROB_THRESHOLD))
+        .map(seg => ({ ...seg, text: removeHallucinatedSentences(seg.text || '', getHallucinationWords(language)).trim() }))
+        .filter(seg => seg.text);
+}
+
+/**
+ * 禁止ワードを含む文を削除（残す文は元の区切り文字のまま）
+ */
+function removeHallucinatedSentences(text, words) {
+    if (!words.some(word => text.includes(word))) return text;
+
+    return (text.match(HALLUCINATION_SENTENCE_PATTERN) || [])
+        .filter(sentence => !words.some(word => sentence.includes(word)))
+        .join('');
+}
+
+function filterHallucinations(text, language) {
+    if (!text) return '';
+
+    const words = getHallucinationWords(language);
+    let cleaned = text;
+
+    // 繰り返しパターン検出（同じフレーズが3回以上）
+    const loopPattern = /(.{3,20})\1{2,}/g;
+    if (loopPattern.test(cleaned)) {
+        const match = cleaned.match(loopPattern);
+        if (match && match[0].length > cleaned.length * 0.5) {
+            return '';
+        }
+        cleaned = cleaned.replace(loopPattern, '$1');
+    }
+
+    // 禁止ワードチェック（単独出現時は破棄）
+    for (const word of words) {
+        if (cleaned.trim() === word || cleaned.trim() === word + '。') {
+            return '';
+        }
+    }
+
+    cleaned = removeHallucinatedSentences(cleaned, words);
+
+    // 数字/記号の羅列削除
+    cleaned = cleaned.replace(/[\d\.]{4,}/g, '');
+    cleaned = cleaned.replace(/[\.]{2,}/g, '');
+    cleaned = cleaned.replace(/[。]{2,}/g, '。');
+    cleaned = cleaned.replace(/[\s]{2,}/g, ' ');
+
+    // 短すぎるノイズ（2文字以下）
+    if (cleaned.trim().length <= 2) {
+        return '';
+    }
+
+    return cleaned.trim();
+}
+
+// ========================================
+// Status & UI Updates
+// ========================================
+function updateStatus(status, message) {
+    elements.statusText.textContent = message;
+    const dot = elements.statusDot;
+    dot.classList.remove('listening', 'processing');
+
+    switch (status) {
+        case 'recording':
+            dot.style.backgroundColor = '#ef4444';
+            dot.style.boxShadow = '0 10px 15px -3px rgba(239, 68, 68, 0.5)';
+            dot.classList.add('listening');
+            break;
+        case 'paused':
+            dot.style.backgroundColor = '#f59e0b';
+            dot.style.boxShadow = '0 10px 15px -3px rgba(245, 158, 11, 0.5)';
+            break;
+        case 'loading':
+        case 'processing':
+            dot.style.backgroundColor = '#f59e0b';
+            dot.style.boxShadow = '0 10px 15px -3px rgba(245, 158, 11, 0.5)';
+            dot.classList.add('processing');
+            break;
+        case 'ready':
+        default:
+            dot.style.backgroundColor = '#34d399';
+            dot.style.boxShadow = '0 10px 15px -3px rgba(52, 211, 153, 0.5)';
+            break;
+    }
+}
+
+// ========================================
+// Navigation
+// ========================================
+function navigateToHome() {
+    finishEditing();
+    closeRevisions();
+    state.currentView = 'home';
+    state.currentTranscriptionId = null;
+    unloadDetailAudio();
+    elements.detailView.classList.add('translate-x-full');
+    document.body.style.overflow = '';
+}
+
+function navigateToDetail(id) {
+    const transcription = state.transcriptions.find(t => t.id === id);
+    if (!transcription) return;
+
+    state.currentView = 'detail';
+    state.currentTranscriptionId = id;
+    elements.detailDate.textContent = transcription.language
+        ? `${transcription.date} · ${LANGUAGE_LABELS[transcription.language] || transcription.language}`
+        : transcription.date;
+    if (transcription.status) {
+        renderPendingDetail(transcription);
+    } else {
+        renderTranscriptSentences(transcription);
+    }
+    renderDetailTitle(transcription);
+    renderDetailMeta(transcription);
+    renderDetailTranslation(transcription);
+    renderDetailSummary(transcription);
+    elements.editBtn.disabled = !!transcription.status;
+    elements.revisionsBtn.disabled = !!transcription.status;
+    loadDetailAudio(transcription);
+    elements.detailView.classList.remove('translate-x-full');
+    document.body.style.overflow = 'hidden';
+    history.pushState({ view: 'detail', id }, '', `#detail-${id}`);
+}
+
+// ========================================
+// Audio Playback & Click-to-Seek
+// ========================================
+async function saveAudio(id, blob) {
+    if (!blob) return;
+
+    try {
+        await dbPut(DB_STORES.AUDIO, { id, blob, mimeType: blob.type, createdAt: Date.now() });
+    } catch (e) {
+        console.error('Failed to save audio:', e);
+        handleStorageError(e, '音声の保存に失敗しました');
+    }
+}
+
+async function loadDetailAudio(transcription) {
+    unloadDetailAudio();
+    elements.detailAudioCard.classList.add('hidden');
+
+    try {
+        const record = await dbGet(DB_STORES.AUDIO, transcription.id);
+        // 読み込み中に別の詳細へ移動した場合は破棄
+        if (!record || state.currentTranscriptionId !== transcription.id) return;
+
+        state.detailAudioUrl = URL.createObjectURL(record.blob);
+        elements.detailAudio.src = state.detailAudioUrl;
+        elements.detailAudioCard.classList.remove('hidden');
+    } catch (e) {
+        console.error('Failed to load audio:', e);
+    }
+}
+
+function unloadDetailAudio() {
+    elements.detailAudio.pause();
+    elements.detailAudio.removeAttribute('src');
+    elements.detailAudio.load();
+
+    if (state.detailAudioUrl) {
+        URL.revokeObjectURL(state.detailAudioUrl);
+        state.detailAudioUrl = null;
+    }
+}
+
+/**
+ * 送信待ちの録音は本文の代わりに状態を表示（音声は再生できる）
+ */
+function renderPendingDetail(transcription) {
+    state.sentenceTimings = [];
+    const message = transcription.status === UPLOAD_STATUS.PENDING
+        ? '文字起こしの送信待ちです。オンラインになると自動で再送されます。'
+        : `文字起こしに失敗しました${transcription.lastError ? `: ${transcription.lastError}` : ''}`;
+    elements.detailFullText.textContent = message;
+}
+
+/**
+ * 英語翻訳がある場合は原文と並べて表示（狭い画面では縦に並ぶ）
+ */
+function renderDetailTranslation(transcription) {
+    const hasTranslation = !!transcription.translation;
+
+    elements.detailContent.classList.toggle('max-w-lg', !hasTranslation);
+    elements.detailContent.classList.toggle('max-w-4xl', hasTranslation);
+    elements.detailTexts.classList.toggle('md:grid-cols-2', hasTranslation);
+    elements.originalLabel.classList.toggle('hidden', !hasTranslation);
+    elements.translationCard.classList.toggle('hidden', !hasTranslation);
+    elements.detailTranslationText.textContent = hasTranslation ? transcription.translation.fullText : '';
+}
+
+/**
+ * AI要約（タイトル・要点・決定事項・アクションアイテム）を本文の上に表示
+ */
+function renderDetailSummary(transcription) {
+    const summary = transcription.summary;
+    const summarizing = state.summarizingIds.has(transcription.id);
+
+    elements.summarizeBtn.disabled = !!transcription.status || !transcription.fullText || summarizing;
+    elements.summarizeIcon.classList.toggle('animate-pulse', summarizing);
+    elements.summaryCard.classList.toggle('hidden', !summary);
+    if (!summary) {
+        elements.summaryBody.innerHTML = '';
+        return;
+    }
+
+    const renderList = (label, items) => items.length ? `
+        <div>
+            <p class="text-xs font-semibold text-slate-400 mb-1">${label}</p>
+            <ul class="list-disc pl-5 space-y-0.5">${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+        </div>` : '';
+
+    const actionItems = summary.actionItems.map(item => {
+        const meta = [item.owner, item.due].filter(Boolean).map(escapeHtml).join(' · ');
+        return `${escapeHtml(item.task)}${meta ? ` <span class="text-xs text-violet-500">(${meta})</span>` : ''}`;
+    });
+
+    elements.summaryBody.innerHTML = [
+        renderList('要点', summary.keyPoints),
+        renderList('決定事項', summary.decisions),
+        actionItems.length ? `
+        <div>
+            <p class="text-xs font-semibold text-slate-400 mb-1">アクションアイテム</p>
+            <ul class="space-y-0.5">${actionItems.map(item => `<li class="flex gap-1.5"><i class="ph ph-square text-slate-400 mt-0.5"></i><span>${item}</span></li>`).join('')}</ul>
+        </div>` : '',
+    ].join('') || '<p class="text-slate-400">要約できる内容がありませんでした</p>';
+}
+
+/**
+ * 本文を文単位のspanに分割し、各文の再生開始位置を割り当てる
+ */
+function renderTranscriptSentences(transcription) {
+    const text = transcription.fullText;
+    const sentences = splitSentences(text);
+
+    let offset = 0;
+    state.sentenceTimings = sentences.map(sentence => {
+        const start = estimateTimeAtOffset(transcription, offset / text.length);
+        offset += sentence.length;
+        return { start, end: estimateTimeAtOffset(transcription, offset / text.length) };
+    });
+    state.activeSentenceIndex = -1;
+
+    elements.detailFullText.innerHTML = sentences.map((sentence, i) =>
+        `<span class="transcript-sentence" data-index="${i}">${escapeHtml(sentence)}</span>`
+    ).join('');
+}
+
+/**
+ * 句点・改行で文に分割（改行は直前の文に含める）
+ */
+function splitSentences(text) {
+    return text.match(/[^。．.!?！？\n]*[。．.!?！？]+\n*|[^。．.!?！？\n]+\n*|\n+/g) || [text];
+}
+
+/**
+ * 本文中の相対位置（0〜1）を再生位置（秒）に変換
+ * セグメントがあればその時刻で補間し、なければ録音時間で按分する
+ */
+function estimateTimeAtOffset(transcription, ratio) {
+    const segments = transcription.segments || [];
+
+    if (segments.length === 0) {
+        return ratio * (transcription.duration || 0);
+    }
+
+    const totalChars = segments.reduce((sum, seg) => sum + seg.text.length, 0);
+    let target = ratio * totalChars;
+    for (const seg of segments) {
+        if (target <= seg.text.length) {
+            const within = seg.text.length > 0 ? target / seg.text.length : 0;
+            return seg.start + within * (seg.end - seg.start);
+        }
+        target -= seg.text.length;
+    }
+    return segments[segments.length - 1].end;
+}
+
+function seekToSentence(event) {
+    const span = event.target.closest('.transcript-sentence');
+    if (!span || !state.detailAudioUrl) return;
+
+    const timing = state.sentenceTimings[Number(span.dataset.index)];
+    elements.detailAudio.currentTime = timing.start;
+    elements.detailAudio.play().catch(() => { });
+}
+
+function highlightPlayingSentence() {
+    const time = elements.detailAudio.currentTime;
+    const index = state.sentenceTimings.findIndex(t => time >= t.start && time < t.end);
+    if (index === state.activeSentenceIndex) return;
+
+    const spans = elements.detailFullText.querySelectorAll('.transcript-sentence');
+    spans[state.activeSentenceIndex]?.classList.remove('active');
+    if (index >= 0) {
+        spans[index].classList.add('active');
+        spans[index].scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+    state.activeSentenceIndex = index;
+}
+
+// ========================================
+// Persistence (IndexedDB)
+// ========================================
+
+/**
+ * localStorageの旧データをIndexedDBへ一度だけ移行
+ * 書き込み完了後に旧キーを削除して容量を解放する
+ */
+async function migrateLegacyStorage() {
+    if (await dbGetMeta(META_KEYS.LEGACY_MIGRATED)) return;
+
+    const transcriptions = readLegacyJson(LEGACY_STORAGE_KEYS.TRANSCRIPTIONS) || [];
+    const keywords = readLegacyJson(LEGACY_STORAGE_KEYS.KEYWORDS);
+
+    await dbWrite([DB_STORES.TRANSCRIPTIONS, DB_STORES.META], (tx) => {
+        const store = tx.objectStore(DB_STORES.TRANSCRIPTIONS);
+        transcriptions.forEach(t => store.put(normalizeTranscription(t)));
+
+        const meta = tx.objectStore(DB_STORES.META);
+        if (keywords) {
+            meta.put({ key: META_KEYS.KEYWORDS, value: keywords });
+        }
+        meta.put({ key: META_KEYS.LEGACY_MIGRATED, value: Date.now() });
+    });
+
+    localStorage.removeItem(LEGACY_STORAGE_KEYS.TRANSCRIPTIONS);
+    localStorage.removeItem(LEGACY_STORAGE_KEYS.KEYWORDS);
+}
+
+function readLegacyJson(key) {
+    try {
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : null;
+    } catch (e) {
+        console.error(`Failed to read legacy ${key}:`, e);
+        return null;
+    }
+}
+
+/**
+ * 保存失敗をユーザーに通知（容量不足は専用メッセージ）
+ */
+function handleStorageError(error, fallbackMessage) {
+    if (isQuotaExceededError(error)) {
+        showToast('ストレージの空き容量が不足しています。不要な録音を削除してください', 'error');
+    } else {
+        showToast(fallbackMessage, 'error');
+    }
+}
+
+// ========================================
+// Transcription CRUD
+// ========================================
+function createTranscription(text, { segments = [], language = null, translation = null, duration = 0, sourceName } = {}) {
+    const now = new Date();
+    // バッチ処理で同じミリ秒に作成されてもIDが重複しないようにする
+    let time = now.getTime();
+    while (state.transcriptions.some(t => t.id === `ts_${time}`)) time++;
+    const id = `ts_${time}`;
+    const date = formatDate(now);
+    const preview = makePreview(text);
+
+    const transcription = { id, date, preview, fullText: text, segments, language, duration, createdAt: time };
+    if (translation) {
+        transcription.translation = translation;
+    }
+    if (sourceName) {
+        transcription.sourceName = sourceName;
+    }
+    applyAutoTitle(transcription);
+    return transcription;
+}
+
+function makePreview(text) {
+    return text.length > PREVIEW_LENGTH
+        ? text.substring(0, PREVIEW_LENGTH) + '...'
+        : text;
+}
+
+/**
+ * 旧形式のレコードを現在のスキーマに揃える
+ */
+function normalizeTranscription(t) {
+    return {
+        ...t,
+        segments: t.segments || [],
+        duration: t.duration || 0,
+        // 旧レコードはIDにタイムスタンプを含む（ts_<ms>）
+        createdAt: t.createdAt || Number(String(t.id).replace(/^ts_/, '')) || 0,
+    };
+}
+
+async function loadTranscriptions() {
+    const records = await dbGetAll(DB_STORES.TRANSCRIPTIONS);
+    state.transcriptions = records
+        .map(normalizeTranscription)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+async function saveTranscription(transcription) {
+    try {
+        await dbPut(DB_STORES.TRANSCRIPTIONS, transcription);
+        return true;
+    } catch (e) {
+        console.error('Failed to save transcription:', e);
+        handleStorageError(e, '文字起こしの保存に失敗しました');
+        return false;
+    }
+}
+
+async function deleteCurrentTranscription() {
+    if (!state.currentTranscriptionId) return;
+
+    const id = state.currentTranscriptionId;
+    try {
+        // サーバーで処理中のジョブはアップロード済みの音声ごと取り消す（失敗しても期限切れで削除される）
+        const entry = await dbGet(DB_STORES.UPLOAD_QUEUE, id);
+        if (entry?.jobId) {
+            await deleteTranscriptionJob(entry.jobId).catch(e => console.warn('Failed to cancel transcription job:', e));
+        }
+
+        // 本文と音声を同じトランザクションで削除
+        await dbWrite([DB_STORES.TRANSCRIPTIONS, DB_STORES.AUDIO, DB_STORES.UPLOAD_QUEUE, DB_STORES.REVISIONS], (tx) => {
+            tx.objectStore(DB_STORES.TRANSCRIPTIONS).delete(id);
+            tx.objectStore(DB_STORES.AUDIO).delete(id);
+            tx.objectStore(DB_STORES.UPLOAD_QUEUE).delete(id);
+            deleteAllByIndex(tx, DB_STORES.REVISIONS, 'transcriptionId', id);
+        });
+    } catch (e) {
+        console.error('Failed to delete transcription:', e);
+        showToast('削除に失敗しました', 'error');
+        return;
+    }
+
+    state.transcriptions = state.transcriptions.filter(t => t.id !== id);
+    renderHistoryList();
+    navigateToHome();
+    showToast('削除しました', 'success');
+}
+
+// ========================================
+// History List Rendering
+// ========================================
+function renderHistoryList() {
+    const count = state.transcriptions.length;
+    renderHistorySelection();
+    const filtered = isHistoryFiltered();
+    const matches = getFilteredTranscriptions();
+    elements.historyCount.textContent = filtered ? `${matches.length}/${count}` : count;
+    elements.historyFilters.classList.toggle('hidden', count === 0);
+    elements.historyFilterClearBtn.classList.toggle('hidden', !filtered);
+    renderHistoryFilterBar();
+
+    if (count === 0) {
+        elements.emptyHistory.classList.remove('hidden');
+        elements.historyNoMatch.classList.add('hidden');
+        elements.historyMoreBtn.classList.add('hidden');
+        elements.historyList.innerHTML = '';
+        return;
+    }
+
+    elements.emptyHistory.classList.add('hidden');
+    elements.historyNoMatch.classList.toggle('hidden', matches.length > 0);
+
+    // 件数が多くても重くならないよう、表示するカードは「さらに表示」で増やす
+    const limit = state.historyLimit || HISTORY_PAGE_SIZE;
+    const terms = getSearchTerms();
+    elements.historyList.innerHTML = matches.slice(0, limit).map(t => renderHistoryCard(t, terms)).join('');
+
+    const remaining = matches.length - limit;
+    elements.historyMoreBtn.classList.toggle('hidden', remaining <= 0);
+    elements.historyMoreBtn.textContent = `さらに表示（残り${remaining}件）`;
+}
+
+function renderHistoryCard(t, terms = []) {
+    return `
+        <div class="history-card p-4 rounded-2xl cursor-pointer${getHistoryCardSelectionClass(t)}" data-id="${t.id}">
+            <div class="flex items-start justify-between gap-3">
+                <div class="flex-1 min-w-0">
+                    ${t.title ? `<p class="text-sm font-semibold text-slate-900 truncate mb-0.5">${highlightTerms(t.title, terms)}</p>` : ''}
+                    ${renderHistoryCardBody(t, terms)}
+                    <p class="text-xs text-slate-400 mt-1 truncate">${escapeHtml(t.date)}${renderHistoryCardMeta(t)}</p>
+                </div>
+                <i class="${getHistoryCardIcon(t)} text-lg flex-shrink-0"></i>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * 送信待ち・失敗の録音は本文の代わりに状態を表示
+ */
+function renderHistoryCardBody(t, terms = []) {
+    if (t.status === UPLOAD_STATUS.PENDING) {
+        const progress = state.jobProgress.get(t.id);
+        return `
+            <p class="text-sm text-amber-600 font-medium flex items-center gap-1.5">
+                <i class="ph ph-cloud-arrow-up"></i>${progress
+                    ? `サーバーで処理中 ${progress.completed}/${progress.total}`
+                    : '送信待ち'}
+            </p>`;
+    }
+
+    if (t.status === UPLOAD_STATUS.FAILED) {
+        return `
+            <div class="flex items-center gap-2">
+                <p class="text-sm text-red-500 font-medium flex items-center gap-1.5 truncate">
+                    <i class="ph ph-warning-circle"></i>送信失敗
+                </p>
+                <button data-retry-id="${t.id}"
+                    class="px-2.5 py-1 rounded-lg bg-red-50 text-xs font-semibold text-red-600 hover:bg-red-100 active:scale-95 transition-all duration-200">
+                    再試行
+                </button>
+            </div>`;
+    }
+
+    if (terms.length > 0) {
+        return `<p class="text-sm text-slate-800 font-medium line-clamp-2">${renderHistorySnippet(t, terms)}</p>`;
+    }
+    return `<p class="text-sm text-slate-800 font-medium truncate">${escapeHtml(t.preview)}</p>`;
+}
+
+/**
+ * 本文の最初の一致箇所の前後を抜き出し、検索語をハイライト
+ * 本文以外（翻訳・ファイル名など）で一致した場合はプレビューを表示
+ */
+function renderHistorySnippet(t, terms) {
+    const text = t.fullText || '';
+    const lower = text.toLowerCase();
+    const positions = terms.map(term => lower.indexOf(term)).filter(i => i >= 0);
+    if (positions.length === 0) {
+        return highlightTerms(t.preview, terms);
+    }
+
+    const index = Math.min(...positions);
+    const start = Math.max(0, index - HISTORY_SNIPPET_RADIUS);
+    const end = Math.min(text.length, index + HISTORY_SNIPPET_RADIUS * 2);
+    return `${start > 0 ? '…' : ''}${highlightTerms(text.slice(start, end), terms)}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * 履歴カードの日付の後ろにフォルダとタグを表示
+ */
+function renderHistoryCardMeta(t) {
+    const folder = t.folder ? ` · <i class="ph ph-folder"></i> ${escapeHtml(t.folder)}` : '';
+    const tags = (t.tags || []).map(tag => ` <span class="text-primary-500">#${escapeHtml(tag)}</span>`).join('');
+    return folder + tags;
+}
+
+function getHistoryCardSelectionClass(t) {
+    if (!state.selectedIds) return '';
+    if (!isExportable(t)) return ' opacity-50';
+    return state.selectedIds.has(t.id) ? ' ring-2 ring-primary-400' : '';
+}
+
+function getHistoryCardIcon(t) {
+    if (!state.selectedIds) return 'ph ph-caret-right text-slate-400';
+    return state.selectedIds.has(t.id) ? 'ph-fill ph-check-circle text-primary-500' : 'ph ph-circle text-slate-300';
+}
+
+function highlightTerms(text, terms) {
+    if (terms.length === 0) return escapeHtml(text);
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return text.split(pattern)
+        .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+}
+
+function handleHistoryListClick(event) {
+    const retryButton = event.target.closest('[data-retry-id]');
+    if (retryButton) {
+        retryUpload(retryButton.dataset.retryId);
+        return;
+    }
+
+    const card = event.target.closest('.history-card');
+    if (card) {
+        handleHistoryCardClick(card.dataset.id);
+    }
+}
+
+// ========================================
+// History Selection
+// ========================================
+function handleHistoryCardClick(id) {
+    if (!state.selectedIds) {
+        navigateToDetail(id);
+        return;
+    }
+
+    // 送信待ち・失敗の録音は本文が無いため選択できない
+    const transcription = state.transcriptions.find(t => t.id === id);
+    if (!transcription || !isExportable(transcription)) return;
+
+    if (state.selectedIds.has(id)) {
+        state.selectedIds.delete(id);
+    } else {
+        state.selectedIds.add(id);
+    }
+    renderHistoryList();
+}
+
+function startHistorySelection() {
+    state.selectedIds = new Set();
+    renderHistoryList();
+}
+
+function exitHistorySelection() {
+    state.selectedIds = null;
+    renderHistoryList();
+}
+
+/**
+ * 表示中（絞り込み後）の録音をすべて選択。すべて選択済みなら解除
+ */
+function selectAllHistory() {
+    const ids = getFilteredTranscriptions().filter(isExportable).map(t => t.id);
+    const allSelected = ids.length > 0 && ids.every(id => state.selectedIds.has(id));
+    state.selectedIds = new Set(allSelected ? [] : ids);
+    renderHistoryList();
+}
+
+function getSelectedTranscriptions() {
+    return state.transcriptions.filter(t => state.selectedIds.has(t.id));
+}
+
+function renderHistorySelection() {
+    const selecting = !!state.selectedIds;
+    elements.historySelectBtn.classList.toggle('hidden', selecting || state.transcriptions.length === 0);
+    elements.selectionBar.classList.toggle('hidden', !selecting);
+    // 選択バーで最後のカードが隠れないようにする
+    elements.homeView.classList.toggle('pb-20', selecting);
+    if (!selecting) return;
+
+    const count = getSelectedTranscriptions().length;
+    elements.selectionCount.textContent = `${count}件選択中`;
+    elements.selectionExportBtn.disabled = count === 0;
+}
+
+function exportSelectedTranscriptions() {
+    const selected = getSelectedTranscriptions();
+    if (selected.length === 0) return;
+    openExportSheet(selected);
+}
+
+// ========================================
+// History Search & Filters
+// ========================================
+function createHistoryFilter() {
+    // folderはnullで全件、空文字でフォルダなしの録音
+    return { query: '', from: '', to: '', tag: '', folder: null, sort: HISTORY_SORTS.NEWEST };
+}
+
+function isHistoryFiltered() {
+    const { query, from, to, tag, folder } = state.historyFilter;
+    return !!(query || from || to || tag) || folder !== null;
+}
+
+/**
+ * 空白区切りの検索語（すべてを含むものに一致）
+ */
+function getSearchTerms() {
+    return state.historyFilter.query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+function getSearchableText(t) {
+    return [t.title, t.fullText, t.translation?.fullText, t.sourceName, t.summary?.title, t.folder, ...(t.tags || [])]
+        .filter(Boolean)
+        .join('\n')
+        .toLowerCase();
+}
+
+function getFilteredTranscriptions() {
+    const { from, to, tag, folder, sort } = state.historyFilter;
+    const terms = getSearchTerms();
+    // 日付は端末のタイムゾーンでその日の0時から翌日0時まで
+    const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    const toTime = to ? new Date(`${to}T00:00:00`).getTime() + 24 * 60 * 60 * 1000 : Infinity;
+
+    const matches = state.transcriptions.filter((t) => {
+        if (t.createdAt < fromTime || t.createdAt >= toTime) return false;
+        if (tag && !(t.tags || []).includes(tag)) return false;
+        if (folder !== null && (t.folder || '') !== folder) return false;
+        if (terms.length === 0) return true;
+
+        const text = getSearchableText(t);
+        return terms.every(term => text.includes(term));
+    });
+
+    // state.transcriptionsは新しい順に並んでいる
+    switch (sort) {
+        case HISTORY_SORTS.OLDEST:
+            return matches.reverse();
+        case HISTORY_SORTS.LONGEST:
+            return matches.sort((a, b) => b.duration - a.duration);
+        case HISTORY_SORTS.SHORTEST:
+            return matches.sort((a, b) => a.duration - b.duration);
+        default:
+            return matches;
+    }
+}
+
+/**
+ * フォルダとタグの絞り込みバー（どちらも無ければ非表示）
+ */
+function renderHistoryFilterBar() {
+    const folders = getAllFolders();
+    const tags = getAllTags();
+    const filter = state.historyFilter;
+
+    // 選択中のフォルダ・タグが無くなった場合は絞り込みを解除
+    if (filter.folder && !folders.includes(filter.folder)) filter.folder = null;
+    if (filter.tag && !tags.includes(filter.tag)) filter.tag = '';
+
+    const bar = elements.historyFilterBar;
+    bar.classList.toggle('hidden', folders.length === 0 && tags.length === 0);
+
+    const chips = [createFilterChip('すべて', { all: '' }, filter.folder === null && !filter.tag)];
+    folders.forEach(folder => chips.push(createFilterChip(folder, { folder }, filter.folder === folder, 'ph-folder')));
+    if (folders.length > 0) {
+        chips.push(createFilterChip('フォルダなし', { folder: '' }, filter.folder === '', 'ph-folder-dashed'));
+    }
+    tags.forEach(tag => chips.push(createFilterChip(`#${tag}`, { tag }, filter.tag === tag)));
+    bar.replaceChildren(...chips);
+}
+
+/**
+ * 絞り込みバーのボタン（利用者が入力した名前を扱うためDOMで組み立てる）
+ */
+function createFilterChip(label, data, active, icon) {
+    const chip = document.createElement('button');
+    chip.className = `flex-shrink-0 flex items-center gap-1 px-3 py-1.5 rounded-full text-xs font-semibold border transition-all duration-200 active:scale-95 ${active
+        ? 'bg-primary-500 border-primary-500 text-white'
+        : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-100'}`;
+    Object.assign(chip.dataset, data);
+    if (icon) {
+        const i = document.createElement('i');
+        i.className = `ph ${icon}`;
+        chip.append(i);
+    }
+    chip.append(label);
+    return chip;
+}
+
+function handleHistoryFilterBarClick(event) {
+    const chip = event.target.closest('button');
+    if (!chip) return;
+
+    const { folder, tag } = chip.dataset;
+    if (folder !== undefined) {
+        applyHistoryFilter({ folder: state.historyFilter.folder === folder ? null : folder });
+    } else if (tag !== undefined) {
+        applyHistoryFilter({ tag: state.historyFilter.tag === tag ? '' : tag });
+    } else {
+        applyHistoryFilter({ folder: null, tag: '' });
+    }
+}
+
+function handleHistorySearchInput() {
+    clearTimeout(state.historySearchTimer);
+    state.historySearchTimer = setTimeout(() => {
+        applyHistoryFilter({ query: elements.historySearchInput.value.trim() });
+    }, HISTORY_SEARCH_DEBOUNCE_MS);
+}
+
+/**
+ * 条件を変えたら表示件数を最初のページに戻す
+ */
+function applyHistoryFilter(patch) {
+    Object.assign(state.historyFilter, patch);
+    state.historyLimit = HISTORY_PAGE_SIZE;
+    renderHistoryList();
+}
+
+function clearHistoryFilter() {
+    clearTimeout(state.historySearchTimer);
+    const { sort } = state.historyFilter;
+    state.historyFilter = { ...createHistoryFilter(), sort };
+    elements.historySearchInput.value = '';
+    elements.historyDateFrom.value = '';
+    elements.historyDateTo.value = '';
+    state.historyLimit = HISTORY_PAGE_SIZE;
+    renderHistoryList();
+}
+
+function showMoreHistory() {
+    state.historyLimit = (state.historyLimit || HISTORY_PAGE_SIZE) + HISTORY_PAGE_SIZE;
+    renderHistoryList();
+}
+
+// ========================================
+// Detail Actions
+// ========================================
+function getCurrentTranscription() {
+    return state.transcriptions.find(t => t.id === state.currentTranscriptionId);
+}
+
+async function copyText(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        showToast('コピーしました', 'success');
+    } catch (e) {
+        showToast('コピーに失敗しました', 'error');
+    }
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+function downloadText(text, filename) {
+    downloadBlob(new Blob([text], { type: 'text/plain;charset=utf-8' }), filename);
+    showToast('保存しました', 'success');
+}
+
+function copyCurrentTranscription() {
+    const transcription = getCurrentTranscription();
+    if (!transcription) return;
+    copyText(transcription.fullText);
+}
+
+function exportCurrentTranscription() {
+    const transcription = getCurrentTranscription();
+    if (!transcription) return;
+    if (!isExportable(transcription)) {
+        showToast('文字起こしが完了していません', 'warning');
+        return;
+    }
+    openExportSheet([transcription]);
+}
+
+/**
+ * 文字起こしをAIで要約して保存（作り直しも同じ処理）
+ */
+async function summarizeCurrentTranscription() {
+    const transcription = getCurrentTranscription();
+    if (!transcription?.fullText || transcription.status || state.summarizingIds.has(transcription.id)) return;
+
+    state.summarizingIds.add(transcription.id);
+    renderDetailSummary(transcription);
+    showToast('要約を作成中...', 'info');
+
+    try {
+        const result = await requestSummary(transcription.fullText, transcription.language);
+        const { provider, ...summary } = result.summary;
+        transcription.summary = { ...summary, generatedAt: Date.now() };
+        // 利用者が付けたタイトルは残し、それ以外はAIのタイトルに置き換える
+        if (summary.title && transcription.titleSource !== TITLE_SOURCES.USER) {
+            transcription.title = summary.title;
+            transcription.titleSource = TITLE_SOURCES.AI;
+        }
+        await saveTranscription(transcription);
+        renderHistoryList();
+        showToast('要約を作成しました', 'success');
+    } catch (error) {
+        console.error('Summary failed:', error);
+        showToast(getSummaryErrorMessage(error), 'error');
+    } finally {
+        state.summarizingIds.delete(transcription.id);
+        // 要約中に別の詳細へ移動した場合は表示を更新しない
+        if (state.currentTranscriptionId === transcription.id) {
+            renderDetailTitle(transcription);
+            renderDetailSummary(transcription);
+        }
+    }
+}
+
+function getSummaryErrorMessage(error) {
+    if (error instanceof TypeError) {
+        return 'オフラインのため要約できません';
+    }
+    switch (error.code) {
+        case API_ERROR_CODES.TOO_LARGE:
+            return '文字起こしが長すぎるため要約できません';
+        case API_ERROR_CODES.PROVIDER_UNAVAILABLE:
+            return '要約サービスに接続できません';
+        default:
+            return getUploadErrorMessage(error);
+    }
+}
+
+function copyCurrentMinutes() {
+    const transcription = getCurrentTranscription();
+    if (!transcription?.summary) return;
+    copyText(buildMarkdownDocument(transcription));
+}
+
+function saveCurrentMinutes() {
+    const transcription = getCurrentTranscription();
+    if (!transcription?.summary) return;
+    downloadText(buildMarkdownDocument(transcription), `${getExportBaseName(transcription)}.md`);
+}
+
+function copyCurrentTranslation() {
+    const transcription = getCurrentTranscription();
+    if (!transcription?.translation) return;
+    copyText(transcription.translation.fullText);
+}
+
+function saveCurrentTranslation() {
+    const transcription = getCurrentTranscription();
+    if (!transcription?.translation) return;
+    downloadText(transcription.translation.fullText, `${getExportBaseName(transcription)}_en.txt`);
+}
+
+// ========================================
+// Export (TXT / Markdown / SRT / WebVTT / JSON / DOCX)
+// ========================================
+function isExportable(transcription) {
+    return !transcription.status;
+}
+
+/**
+ * 書き出し形式を選ぶシートを開く
+ * @param {object[]} transcriptions - 書き出す録音（複数ならZIPにまとめる）
+ */
+function openExportSheet(transcriptions) {
+    state.exportTargets = transcriptions;
+    elements.exportTarget.textContent = transcriptions.length === 1
+        ? getExportTitle(transcriptions[0])
+        : `${transcriptions.length}件の録音`;
+    elements.exportSheet.classList.remove('translate-y-full');
+    elements.exportSheetOverlay.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+}
+
+function closeExportSheet() {
+    state.exportTargets = [];
+    elements.exportSheet.classList.add('translate-y-full');
+    elements.exportSheetOverlay.classList.add('hidden');
+    document.body.style.overflow = '';
+}
+
+async function handleExportFormatClick(event) {
+    const button = event.target.closest('[data-format]');
+    if (!button) return;
+
+    const targets = state.exportTargets;
+    closeExportSheet();
+    if (await exportTranscriptions(targets, button.dataset.format) && state.selectedIds) {
+        exitHistorySelection();
+    }
+}
+
+/**
+ * 1件はそのまま、複数はZIP（JSONは配列の1ファイル）で保存
+ * @returns {Promise<boolean>} 保存できたか
+ */
+async function exportTranscriptions(transcriptions, format) {
+    try {
+        if (transcriptions.length === 1) {
+            const file = await buildExportFile(transcriptions[0], format);
+            downloadBlob(file.blob, file.name);
+        } else if (format === EXPORT_FORMATS.JSON) {
+            const blob = new Blob([JSON.stringify(transcriptions, null, 2)], { type: EXPORT_MIME_TYPES[format] });
+            downloadBlob(blob, `voicescribe_${transcriptions.length}件_${formatFileDate(new Date())}.json`);
+        } else {
+            const files = await Promise.all(transcriptions.map(t => buildExportFile(t, format)));
+            const zip = await createZip(dedupeFileNames(files).map(file => ({ name: file.name, data: file.blob })));
+            downloadBlob(zip, `voicescribe_${transcriptions.length}件_${formatFileDate(new Date())}.zip`);
+        }
+        showToast('書き出しました', 'success');
+        return true;
+    } catch (error) {
+        console.error('Export failed:', error);
+        showToast('書き出しに失敗しました', 'error');
+        return false;
+    }
+}
+
+async function buildExportFile(transcription, format) {
+    const name = `${getExportBaseName(transcription)}.${format}`;
+    const type = EXPORT_MIME_TYPES[format];
+
+    switch (format) {
+        case EXPORT_FORMATS.MARKDOWN:
+            return { name, blob: new Blob([buildMarkdownDocument(transcription)], { type }) };
+        case EXPORT_FORMATS.SRT:
+            return { name, blob: new Blob([buildSrt(transcription)], { type }) };
+        case EXPORT_FORMATS.VTT:
+            return { name, blob: new Blob([buildVtt(transcription)], { type }) };
+        case EXPORT_FORMATS.JSON:
+            return { name, blob: new Blob([JSON.stringify(transcription, null, 2)], { type }) };
+        case EXPORT_FORMATS.DOCX:
+            return { name, blob: await buildDocx(transcription) };
+        default:
+            return { name: `${getExportBaseName(transcription)}.txt`, blob: new Blob([transcription.fullText], { type: EXPORT_MIME_TYPES[EXPORT_FORMATS.TXT] }) };
+    }
+}
+
+function getExportTitle(transcription) {
+    return transcription.title || transcription.summary?.title || '文字起こし';
+}
+
+/**
+ * タイトルと録音日時からファイル名（拡張子なし）を作る
+ */
+function getExportBaseName(transcription) {
+    const title = getExportTitle(transcription)
+        .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_')
+        .replace(/\s+/g, ' ')
+        .replace(/^[.\s]+/, '')
+        .slice(0, EXPORT_FILENAME_LENGTH)
+        .trim();
+    return `${title || 'transcription'}_${formatFileDate(new Date(transcription.createdAt))}`;
+}
+
+/**
+ * ZIP内で同じ名前にならないよう連番を付ける
+ */
+function dedupeFileNames(files) {
+    const used = new Set();
+    return files.map((file) => {
+        const dot = file.name.lastIndexOf('.');
+        let name = file.name;
+        for (let n = 2; used.has(name); n++) {
+            name = `${file.name.slice(0, dot)}_${n}${file.name.slice(dot)}`;
+        }
+        used.add(name);
+        return { ...file, name };
+    });
+}
+
+/**
+ * 字幕の区間。編集前はセグメントの時刻をそのまま使い、
+ * 編集後やセグメントが無い場合は文ごとに時刻を推定する
+ */
+function buildExportCues(transcription) {
+    const segments = transcription.segments || [];
+    const toText = text => text.replace(/\s*\n+\s*/g, '\n').trim();
+
+    if (segments.length > 0 && !transcription.editedAt) {
+        return segments
+            .map(seg => ({ start: seg.start, end: seg.end, text: toText(seg.text) }))
+            .filter(cue => cue.text);
+    }
+
+    const text = transcription.fullText;
+    let offset = 0;
+    return splitSentences(text).map((sentence) => {
+        const start = estimateTimeAtOffset(transcription, offset / text.length);
+        offset += sentence.length;
+        const end = estimateTimeAtOffset(transcription, offset / text.length);
+        return { start, end: Math.max(end, start + MIN_CUE_SECONDS), text: toText(sentence) };
+    }).filter(cue => cue.text);
+}
+
+function formatCueTime(seconds, separator) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+    const m = String(Math.floor(ms / 60000) % 60).padStart(2, '0');
+    const s = String(Math.floor(ms / 1000) % 60).padStart(2, '0');
+    return `${h}:${m}:${s}${separator}${String(ms % 1000).padStart(3, '0')}`;
+}
+
+function buildSrt(transcription) {
+    return buildExportCues(transcription).map((cue, i) => [
+        i + 1,
+        `${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}`,
+        cue.text,
+        '',
+    ].join('\n')).join('\n');
+}
+
+function buildVtt(transcription) {
+    const cues = buildExportCues(transcription).map(cue => [
+        `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`,
+        // 本文中の「-->」は区間の区切りと解釈されるため置き換える
+        cue.text.replace(/-->/g, '→'),
+        '',
+    ].join('\n'));
+    return ['WEBVTT', '', ...cues].join('\n');
+}
+
+/**
+ * Markdown・DOCX共通の文書構成（タイトル・録音情報・要約・本文）
+ */
+function buildExportDocument(transcription) {
+    const { summary, translation } = transcription;
+    const toParagraphs = text => text.split(/\n+/).map(line => line.trim()).filter(Boolean);
+
+    const meta = [
+        `日時: ${transcription.date}`,
+        transcription.duration > 0 && `長さ: ${formatDuration(transcription.duration)}`,
+        transcription.folder && `フォルダ: ${transcription.folder}`,
+        transcription.tags?.length > 0 && `タグ: ${transcription.tags.map(tag => `#${tag}`).join(' ')}`,
+    ].filter(Boolean);
+
+    const sections = [];
+    if (summary) {
+        sections.push(
+            { heading: '要点', items: summary.keyPoints },
+            { heading: '決定事項', items: summary.decisions },
+            {
+                heading: 'アクションアイテム',
+                checklist: true,
+                items: summary.actionItems.map((item) => {
+                    const details = [item.owner && `担当: ${item.owner}`, item.due && `期限: ${item.due}`].filter(Boolean);
+                    return `${item.task}${details.length ? ` (${details.join(', ')})` : ''}`;
+                }),
+            },
+        );
+    }
+    sections.push({ heading: '文字起こし', paragraphs: toParagraphs(transcription.fullText) });
+    if (translation) {
+        sections.push({ heading: 'English', paragraphs: toParagraphs(translation.fullText) });
+    }
+
+    return {
+        title: getExportTitle(transcription),
+        meta,
+        sections: sections.filter(section => (section.items || section.paragraphs).length > 0),
+    };
+}
+
+function buildMarkdownDocument(transcription) {
+    const doc = buildExportDocument(transcription);
+    return [
+        `# ${doc.title}`,
+        '',
+        ...doc.meta.map(line => `- ${line}`),
+        '',
+        ...doc.sections.flatMap(section => [
+            `## ${section.heading}`,
+            '',
+            ...(section.items
+                ? [...section.items.map(item => `${section.checklist ? '- [ ]' : '-'} ${item}`), '']
+                : section.paragraphs.flatMap(paragraph => [paragraph, ''])),
+        ]),
+    ].join('\n');
+}
+
+/**
+ * 最小構成のWord文書（本文のみ、スタイル定義なし）
+ */
+function buildDocx(transcription) {
+    const doc = buildExportDocument(transcription);
+    const paragraph = (text, { bold = false, size = 0, color = '', after = 120 } = {}) => {
+        const props = [bold && '<w:b/>', color && `<w:color w:val="${color}"/>`, size && `<w:sz w:val="${size}"/>`]
+            .filter(Boolean)
+            .join('');
+        return `<w:p><w:pPr><w:spacing w:after="${after}"/></w:pPr><w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}`
+            + `<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+    };
+
+    const body = [
+        paragraph(doc.title, { bold: true, size: 36, after: 200 }),
+        ...doc.meta.map(line => paragraph(line, { size: 20, color: '64748B', after: 40 })),
+        ...doc.sections.flatMap(section => [
+            paragraph(section.heading, { bold: true, size: 28, after: 160 }),
+            ...(section.items
+                ? section.items.map(item => paragraph(`${section.checklist ? '☐' : '・'} ${item}`, { after: 60 }))
+                : section.paragraphs.map(text => paragraph(text))),
+        ]),
+    ].join('');
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+                + '</Types>',
+        },
+        {
+            name: '_rels/.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+                + '</Relationships>',
+        },
+        {
+            name: 'word/document.xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+                + `<w:body>${body}</w:body></w:document>`,
+        },
+    ], EXPORT_MIME_TYPES[EXPORT_FORMATS.DOCX]);
+}
+
+// ========================================
+// Titles, Tags & Folders
+// ========================================
+
+/**
+ * 設定が有効ならタイトルの無い文字起こしに最初の文をタイトルとして付ける
+ */
+function applyAutoTitle(transcription) {
+    if (!state.settings.autoTitle || transcription.title || !transcription.fullText) return;
+
+    const sentence = (transcription.fullText.match(/[^。．.!?！？\n]+/) || [''])[0].trim();
+    if (!sentence) return;
+
+    transcription.title = sentence.length > AUTO_TITLE_LENGTH
+        ? `${sentence.slice(0, AUTO_TITLE_LENGTH)}…`
+        : sentence;
+    transcription.titleSource = TITLE_SOURCES.AUTO;
+}
+
+function getAllFolders() {
+    return [...new Set(state.transcriptions.map(t => t.folder).filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b));
+}
+
+function getAllTags() {
+    return [...new Set(state.transcriptions.flatMap(t => t.tags || []))]
+        .sort((a, b) => a.localeCompare(b));
+}
+
+function renderDetailTitle(transcription) {
+    elements.detailTitleInput.value = transcription.title || '';
+}
+
+/**
+ * フォルダ・タグの入力欄と候補（既存のフォルダ・タグ）を表示
+ */
+function renderDetailMeta(transcription) {
+    elements.detailFolderInput.value = transcription.folder || '';
+    elements.folderOptions.replaceChildren(...getAllFolders().map(folder => new Option(folder)));
+
+    const tags = transcription.tags || [];
+    elements.detailTagInput.value = '';
+    elements.tagOptions.replaceChildren(...getAllTags()
+        .filter(tag => !tags.includes(tag))
+        .map(tag => new Option(tag)));
+    elements.detailTagChips.replaceChildren(...tags.map((tag) => {
+        const chip = document.createElement('span');
+        chip.className = 'flex items-center gap-1 pl-2.5 pr-1 py-0.5 rounded-full bg-primary-50 text-xs font-semibold text-primary-600';
+        const remove = document.createElement('button');
+        remove.className = 'p-0.5 rounded-full hover:bg-primary-100';
+        remove.title = 'タグを外す';
+        remove.dataset.removeTag = tag;
+        remove.innerHTML = '<i class="ph ph-x text-[10px]"></i>';
+        chip.append(`#${tag}`, remove);
+        return chip;
+    }));
+}
+
+/**
+ * 詳細画面でのタイトル・フォルダ・タグの変更を保存して履歴に反映
+ */
+async function updateCurrentTranscription(changes) {
+    const transcription = getCurrentTranscription();
+    if (!transcription) return;
+
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === undefined) {
+            delete transcription[key];
+        } else {
+            transcription[key] = value;
+        }
+    });
+    await saveTranscription(transcription);
+    renderDetailMeta(transcription);
+    renderHistoryList();
+}
+
+function handleTitleChange() {
+    const title = elements.detailTitleInput.value.trim();
+    // 空にした場合はタイトルなし（自動のタイトルも付け直さない）
+    updateCurrentTranscription({
+        title: title || undefined,
+        titleSource: title ? TITLE_SOURCES.USER : undefined,
+    });
+}
+
+function handleFolderChange() {
+    const folder = elements.detailFolderInput.value.trim();
+    updateCurrentTranscription({ folder: folder || undefined });
+}
+
+function handleTagInputKeydown(event) {
+    // IME変換中のEnterは確定操作なので無視
+    if ((event.key === 'Enter' || event.key === ',') && !event.isComposing) {
+        event.preventDefault();
+        addTagFromInput();
+    } else if (event.key === 'Backspace' && !elements.detailTagInput.value) {
+        const tags = getCurrentTranscription()?.tags || [];
+        if (tags.length > 0) {
+            removeTag(tags[tags.length - 1]);
+        }
+    }
+}
+
+function addTagFromInput() {
+    const tag = normalizeTag(elements.detailTagInput.value);
+    elements.detailTagInput.value = '';
+
+    const transcription = getCurrentTranscription();
+    if (!tag || !transcription || (transcription.tags || []).includes(tag)) return;
+    updateCurrentTranscription({ tags: [...(transcription.tags || []), tag] });
+}
+
+function handleTagChipClick(event) {
+    const button = event.target.closest('[data-remove-tag]');
+    if (button) {
+        removeTag(button.dataset.removeTag);
+    }
+}
+
+function removeTag(tag) {
+    const transcription = getCurrentTranscription();
+    if (!transcription) return;
+
+    const tags = (transcription.tags || []).filter(t => t !== tag);
+    updateCurrentTranscription({ tags: tags.length > 0 ? tags : undefined });
+}
+
+/**
+ * 先頭の#と前後の空白を除き、長さを制限
+ */
+function normalizeTag(value) {
+    return value.replace(/^[#＃]+/, '').replace(/[,、]/g, '').trim().slice(0, TAG_MAX_LENGTH);
+}
+
+// ========================================
+// Transcript Editing & Revisions
+// ========================================
+function toggleEditing() {
+    if (state.editing) {
+        finishEditing();
+    } else {
+        startEditing();
+    }
+}
+
+function startEditing() {
+    const transcription = getCurrentTranscription();
+    if (!transcription || transcription.status) return;
+
+    state.editing = { id: transcription.id, revisionId: null, lastSavedAt: 0, timer: null };
+    elements.detailEditor.value = transcription.fullText;
+    elements.detailFullText.classList.add('hidden');
+    elements.detailEditor.classList.remove('hidden');
+    elements.editIcon.classList.replace('ph-pencil-simple', 'ph-check');
+    elements.editBtn.title = '編集を終了';
+    setEditStatus('');
+    elements.detailEditor.focus();
+}
+
+/**
+ * 未保存の編集を保存してから表示に戻す
+ */
+async function finishEditing() {
+    if (!state.editing) return;
+
+    await saveEditorText();
+    state.editing = null;
+    elements.detailEditor.classList.add('hidden');
+    elements.detailFullText.classList.remove('hidden');
+    elements.editIcon.classList.replace('ph-check', 'ph-pencil-simple');
+    elements.editBtn.title = '本文を編集';
+    setEditStatus('');
+
+    const transcription = getCurrentTranscription();
+    if (transcription && !transcription.status) {
+        renderTranscriptSentences(transcription);
+    }
+}
+
+function handleEditorInput() {
+    if (!state.editing) return;
+
+    clearTimeout(state.editing.timer);
+    setEditStatus('未保存');
+    state.editing.timer = setTimeout(saveEditorText, EDIT_AUTOSAVE_DELAY_MS);
+}
+
+async function saveEditorText() {
+    const editing = state.editing;
+    if (!editing) return;
+
+    clearTimeout(editing.timer);
+    editing.timer = null;
+
+    const transcription = state.transcriptions.find(t => t.id === editing.id);
+    const text = elements.detailEditor.value;
+    if (!transcription || text === transcription.fullText) return;
+    if (!text.trim()) {
+        setEditStatus('本文が空のため保存していません');
+        return;
+    }
+
+    // 続けて編集している間は同じ版を上書きし、版が細かく増えすぎないようにする
+    const now = Date.now();
+    const continuing = editing.revisionId && now - editing.lastSavedAt < REVISION_COALESCE_MS;
+    const revisionId = await saveRevision(
+        transcription, text, REVISION_SOURCES.EDIT, continuing ? editing.revisionId : null,
+    );
+    if (revisionId === null || state.editing !== editing) return;
+
+    editing.revisionId = revisionId;
+    editing.lastSavedAt = now;
+    setEditStatus('保存しました');
+    if (!elements.revisionsCard.classList.contains('hidden')) {
+        renderRevisions();
+    }
+}
+
+function setEditStatus(message) {
+    elements.editStatus.textContent = message;
+    elements.editStatus.classList.toggle('hidden', !message);
+}
+
+/**
+ * 本文を更新し、同じトランザクションで版を保存する（revisionIdを渡すとその版を上書き）
+ * 最初の編集の前に機械の出力をoriginalTextとして残す
+ * 保存した版のIDを返す（失敗した場合はnull）
+ */
+async function saveRevision(transcription, text, source, revisionId = null) {
+    const previous = { ...transcription };
+    transcription.originalText = transcription.originalText ?? transcription.fullText;
+    transcription.fullText = text;
+    transcription.preview = makePreview(text);
+    transcription.editedAt = Date.now();
+
+    const revision = { transcriptionId: transcription.id, text, source, savedAt: transcription.editedAt };
+    if (revisionId) {
+        revision.id = revisionId;
+    }
+
+    try {
+        let savedId = revisionId;
+        await dbWrite([DB_STORES.TRANSCRIPTIONS, DB_STORES.REVISIONS], (tx) => {
+            tx.objectStore(DB_STORES.TRANSCRIPTIONS).put(transcription);
+            const request = tx.objectStore(DB_STORES.REVISIONS).put(revision);
+            request.onsuccess = () => {
+                savedId = request.result;
+            };
+        });
+        renderHistoryList();
+        return savedId;
+    } catch (e) {
+        console.error('Failed to save revision:', e);
+        // 保存できなかった変更はメモリ上も元に戻す
+        Object.keys(transcription).forEach(key => delete transcription[key]);
+        Object.assign(transcription, previous);
+        handleStorageError(e, '編集の保存に失敗しました');
+        setEditStatus('保存に失敗しました');
+        return null;
+    }
+}
+
+function toggleRevisions() {
+    if (elements.revisionsCard.classList.contains('hidden')) {
+        elements.revisionsCard.classList.remove('hidden');
+        renderRevisions();
+        elements.revisionsCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    } else {
+        closeRevisions();
+    }
+}
+
+function closeRevisions() {
+    elements.revisionsCard.classList.add('hidden');
+    elements.revisionsList.innerHTML = '';
+    state.revisions = [];
+}
+
+/**
+ * 版を新しい順に表示（差分は元の文字起こしとの比較）
+ */
+async function renderRevisions() {
+    const transcription = getCurrentTranscription();
+    if (!transcription) return;
+
+    let revisions = [];
+    try {
+        revisions = await dbGetAllByIndex(DB_STORES.REVISIONS, 'transcriptionId', transcription.id);
+    } catch (e) {
+        console.error('Failed to load revisions:', e);
+    }
+    if (state.currentTranscriptionId !== transcription.id) return;
+
+    state.revisions = revisions.sort((a, b) => b.savedAt - a.savedAt);
+    if (revisions.length === 0) {
+        elements.revisionsList.innerHTML = '<p class="text-sm text-slate-400">まだ編集されていません</p>';
+        return;
+    }
+
+    const original = transcription.originalText ?? transcription.fullText;
+    const items = revisions.map((revision, i) => {
+        const diff = diffTexts(original, revision.text);
+        const { added, removed } = countDiffChars(diff);
+        const current = i === 0 && revision.text === transcription.fullText;
+        return renderRevisionItem({
+            key: revision.id,
+            label: `${formatDate(new Date(revision.savedAt))}${revision.source === REVISION_SOURCES.RESTORE ? '（復元）' : ''}`,
+            detail: `<span class="text-emerald-600">+${added}</span> <span class="text-red-500">−${removed}</span> 文字（元の文字起こしとの差）`,
+            diffHtml: renderDiffHtml(diff),
+            current,
+            revisionId: revision.id,
+        });
+    });
+
+    items.push(renderRevisionItem({
+        key: 'original',
+        label: '元の文字起こし',
+        detail: 'AIの認識結果',
+        current: original === transcription.fullText,
+    }));
+    elements.revisionsList.innerHTML = items.join('');
+}
+
+/**
+ * revisionIdの無い項目（元の文字起こし）は「この版に戻す」で元の本文を復元する
+ */
+function renderRevisionItem({ key, label, detail, diffHtml, current, revisionId = null }) {
+    const buttonClass = 'px-2.5 py-1 rounded-lg text-xs font-semibold active:scale-95 transition-all duration-200';
+    return `
+        <div class="rounded-xl border border-slate-100 p-3">
+            <div class="flex items-center justify-between gap-2">
+                <div class="min-w-0">
+                    <p class="text-sm font-medium text-slate-700">${label}${current ? ' <span class="text-xs text-primary-600">現在</span>' : ''}</p>
+                    <p class="text-xs text-slate-400">${detail}</p>
+                </div>
+                <div class="flex items-center gap-1 flex-shrink-0">
+                    ${diffHtml ? `<button data-action="diff" data-revision-key="${key}" class="${buttonClass} bg-slate-100 text-slate-600 hover:bg-slate-200">差分</button>` : ''}
+                    ${current ? '' : `<button data-action="restore"${revisionId === null ? '' : ` data-revision-id="${revisionId}"`} class="${buttonClass} bg-primary-50 text-primary-600 hover:bg-primary-100">この版に戻す</button>`}
+                </div>
+            </div>
+            ${diffHtml ? `<div id="revisionDiff_${key}" class="revision-diff hidden mt-2 text-sm leading-relaxed text-slate-600 whitespace-pre-wrap">${diffHtml}</div>` : ''}
+        </div>
+    `;
+}
 
-    if (text && text.trim()) {
-        // 幻覚フィルター適用
-        const cleaned = filterHallucinations(text.trim());
+function handleRevisionsListClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
 
-        if (!cleaned) {
-            showToast('音声が聞き取れませんでした', 'warning');
-            updateStatus('ready', 'タップして録音開始');
-            return;
-        }
+    if (button.dataset.action === 'diff') {
+        toggleRevisionDiff(button.dataset.revisionKey);
+    } else if (button.dataset.revisionId) {
+        restoreRevision(Number(button.dataset.revisionId));
+    } else {
+        restoreOriginalText();
+    }
+}
 
-        // キーワード処理（大文字小文字統一）
-        const processedText = processKeywords(cleaned);
+function toggleRevisionDiff(key) {
+    document.getElementById(`revisionDiff_${key}`)?.classList.toggle('hidden');
+}
 
-        // 保存
-        const newTranscription = createTranscription(processedText);
-        state.transcriptions.unshift(newTranscription);
-        saveTranscriptions();
-        renderHistoryList();
-        navigateToDetail(newTranscription.id);
-        showToast('認識が完了しました', 'success');
-    } else {
-        showToast('音声を認識できませんでした', 'warning');
+function restoreRevision(id) {
+    const revision = state.revisions.find(r => r.id === id);
+    if (revision) {
+        restoreText(revision.text);
     }
+}
 
-    updateStatus('ready', 'タップして録音開始');
+function restoreOriginalText() {
+    const transcription = getCurrentTranscription();
+    if (transcription?.originalText !== undefined) {
+        restoreText(transcription.originalText);
+    }
+}
+
+/**
+ * 過去の版の本文に戻す（戻したこと自体も新しい版として残る）
+ */
+async function restoreText(text) {
+    await finishEditing();
+
+    const transcription = getCurrentTranscription();
+    if (!transcription || text === transcription.fullText) return;
+
+    const revisionId = await saveRevision(transcription, text, REVISION_SOURCES.RESTORE);
+    if (revisionId === null) return;
+
+    renderTranscriptSentences(transcription);
+    renderRevisions();
+    showToast('この版に戻しました', 'success');
 }
 
 // ========================================
-// Hallucination Filter
+// Text Diff (編集履歴の差分表示)
 // ========================================
-function filterHallucinations(text) {
-    if (!text) return '';
 
-    let cleaned = text;
+/**
+ * 英数字は単語単位、それ以外（日本語など）は1文字単位に分割
+ */
+function tokenizeForDiff(text) {
+    return text.match(/[A-Za-z0-9_]+|\s+|[^]/gu) || [];
+}
 
-    // 繰り返しパターン検出（同じフレーズが3回以上）
-    const loopPattern = /(.{3,20})\1{2,}/g;
-    if (loopPattern.test(cleaned)) {
-        const match = cleaned.match(loopPattern);
-        if (match && match[0].length > cleaned.length * 0.5) {
-            return '';
-        }
-        cleaned = cleaned.replace(loopPattern, '$1');
+/**
+ * 2つのテキストの差分を { type: 'equal' | 'insert' | 'delete', text } の配列で返す
+ */
+function diffTexts(before, after) {
+    const a = tokenizeForDiff(before);
+    const b = tokenizeForDiff(after);
+
+    // 共通の先頭・末尾を除いた範囲だけを比較する
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
     }
 
-    // 禁止ワードチェック（単独出現時は破棄）
-    for (const word of HALLUCINATION_WORDS) {
-        if (cleaned.trim() === word || cleaned.trim() === word + '。') {
-            return '';
+    const changedA = a.slice(start, endA);
+    const changedB = b.slice(start, endB);
+    const middle = diffTokens(changedA, changedB) || [
+        ...changedA.map(token => ({ type: 'delete', token })),
+        ...changedB.map(token => ({ type: 'insert', token })),
+    ];
+
+    const ops = [
+        ...a.slice(0, start).map(token => ({ type: 'equal', token })),
+        ...middle,
+        ...a.slice(endA).map(token => ({ type: 'equal', token })),
+    ];
+
+    // 同じ種類の連続をまとめる
+    return ops.reduce((merged, { type, token }) => {
+        const last = merged[merged.length - 1];
+        if (last?.type === type) {
+            last.text += token;
+        } else {
+            merged.push({ type, text: token });
         }
-    }
+        return merged;
+    }, []);
+}
+
+/**
+ * Myersの差分アルゴリズム（変更数がDIFF_MAX_EDITSを超える場合はnull）
+ */
+function diffTokens(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, DIFF_MAX_EDITS);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // 各ステップ後のv（k = -d..d の範囲だけ）を経路の復元用に残す
+    const trace = [];
 
-    // 禁止ワードを含む文を削除
-    for (const word of HALLUCINATION_WORDS) {
-        if (cleaned.includes(word)) {
-            const sentences = cleaned.split(/[。\.！？!?]/);
-            cleaned = sentences
-                .filter(s => !s.includes(word))
-                .join('。')
-                .replace(/^。+|。+$/g, '');
+    for (let d = 0; d <= max; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                trace.push(v.slice(offset - d, offset + d + 1));
+                return backtrackDiff(trace, a, b);
+            }
         }
+        trace.push(v.slice(offset - d, offset + d + 1));
     }
 
-    // 数字/記号の羅列削除
-    cleaned = cleaned.replace(/[\d\.]{4,}/g, '');
-    cleaned = cleaned.replace(/[\.]{2,}/g, '');
-    cleaned = cleaned.replace(/[。]{2,}/g, '。');
-    cleaned = cleaned.replace(/[\s]{2,}/g, ' ');
+    return null;
+}
 
-    // 短すぎるノイズ（2文字以下）
-    if (cleaned.trim().length <= 2) {
-        return '';
+function backtrackDiff(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const previous = trace[d - 1];
+        const at = k => previous[k + d - 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', token: a[--x] });
+            y--;
+        }
+        if (x === prevX) {
+            ops.push({ type: 'insert', token: b[--y] });
+        } else {
+            ops.push({ type: 'delete', token: a[--x] });
+        }
     }
 
-    return cleaned.trim();
+    while (x > 0) {
+        ops.push({ type: 'equal', token: a[--x] });
+    }
+
+    return ops.reverse();
 }
 
-// ========================================
-// Status & UI Updates
-// ========================================
-function updateStatus(status, message) {
-    elements.statusText.textContent = message;
-    const dot = elements.statusDot;
-    dot.classList.remove('listening', 'processing');
+function countDiffChars(diff) {
+    return diff.reduce((count, op) => {
+        if (op.type === 'insert') count.added += op.text.length;
+        if (op.type === 'delete') count.removed += op.text.length;
+        return count;
+    }, { added: 0, removed: 0 });
+}
 
-    switch (status) {
-        case 'recording':
-            dot.style.backgroundColor = '#ef4444';
-            dot.style.boxShadow = '0 10px 15px -3px rgba(239, 68, 68, 0.5)';
-            dot.classList.add('listening');
-            break;
-        case 'loading':
-        case 'processing':
-            dot.style.backgroundColor = '#f59e0b';
-            dot.style.boxShadow = '0 10px 15px -3px rgba(245, 158, 11, 0.5)';
-            dot.classList.add('processing');
-            break;
-        case 'ready':
-        default:
-            dot.style.backgroundColor = '#34d399';
-            dot.style.boxShadow = '0 10px 15px -3px rgba(52, 211, 153, 0.5)';
-            break;
+/**
+ * 変更箇所を色付けし、変更のない長い部分は前後だけ残して省略
+ */
+function renderDiffHtml(diff) {
+    if (!diff.some(op => op.type !== 'equal')) {
+        return '<span class="text-slate-400">変更なし</span>';
     }
+
+    const context = DIFF_CONTEXT_LENGTH;
+    return diff.map((op, i) => {
+        if (op.type === 'insert') return `<ins>${escapeHtml(op.text)}</ins>`;
+        if (op.type === 'delete') return `<del>${escapeHtml(op.text)}</del>`;
+
+        const first = i === 0;
+        const last = i === diff.length - 1;
+        let text = op.text;
+        if (first && text.length > context) {
+            text = `…${text.slice(-context)}`;
+        } else if (last && text.length > context) {
+            text = `${text.slice(0, context)}…`;
+        } else if (!first && !last && text.length > context * 2) {
+            text = `${text.slice(0, context)} … ${text.slice(-context)}`;
+        }
+        return escapeHtml(text);
+    }).join('');
 }
 
 // ========================================
-// Navigation
+// Backup & Restore
 // ========================================
-function navigateToHome() {
-    state.currentView = 'home';
-    state.currentTranscriptionId = null;
-    elements.detailView.classList.add('translate-x-full');
-    document.body.style.overflow = '';
+
+/**
+ * 履歴・版・キーワード・設定（と音声）を1つのZIPに保存
+ * backup.jsonに本体をまとめ、音声はaudio/以下に元の形式のまま格納する
+ */
+async function createBackup() {
+    if (state.backupBusy) return;
+    setBackupBusy(true);
+    showToast('バックアップを作成中...', 'info');
+
+    try {
+        // 送信待ちの録音は本文が無く、音声もアップロードキューにしか無いため含めない
+        const transcriptions = state.transcriptions.filter(isExportable);
+        const ids = new Set(transcriptions.map(t => t.id));
+        const revisions = (await dbGetAll(DB_STORES.REVISIONS))
+            .filter(revision => ids.has(revision.transcriptionId))
+            .map(({ id, ...revision }) => revision);
+        const audio = state.settings.backupAudio
+            ? (await dbGetAll(DB_STORES.AUDIO)).filter(record => ids.has(record.id))
+            : [];
+        // APIトークンは端末ごとの秘密情報のためファイルに書き出さない
+        const { apiToken, ...settings } = state.settings;
+
+        const audioFiles = audio.map(record => ({
+            id: record.id,
+            name: `audio/${record.id}.${getAudioExtension(record.mimeType)}`,
+            mimeType: record.mimeType,
+            createdAt: record.createdAt,
+        }));
+        const manifest = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            createdAt: Date.now(),
+            transcriptions,
+            revisions,
+            keywords: state.keywords,
+            settings,
+            audio: audioFiles,
+        };
+
+        const zip = await createZip([
+            { name: BACKUP_MANIFEST_NAME, data: JSON.stringify(manifest) },
+            ...audioFiles.map((file, i) => ({ name: file.name, data: audio[i].blob })),
+        ]);
+        downloadBlob(zip, `voicescribe_backup_${formatFileDate(new Date())}.zip`);
+        showToast(`${transcriptions.length}件の録音をバックアップしました`, 'success');
+    } catch (error) {
+        console.error('Backup failed:', error);
+        showToast(error.code === ZIP_LIMIT_ERROR
+            ? 'バックアップが大きすぎます（4GB・65535ファイルまで）。「バックアップに音声を含める」をオフにして作成してください'
+            : 'バックアップの作成に失敗しました', 'error');
+    } finally {
+        setBackupBusy(false);
+    }
 }
 
-function navigateToDetail(id) {
-    const transcription = state.transcriptions.find(t => t.id === id);
-    if (!transcription) return;
+function getAudioExtension(mimeType = '') {
+    const subtype = mimeType.split(';')[0].split('/')[1];
+    return subtype && /^[a-z0-9.+-]+$/i.test(subtype) ? subtype : 'bin';
+}
 
-    state.currentView = 'detail';
-    state.currentTranscriptionId = id;
-    elements.detailDate.textContent = transcription.date;
-    elements.detailFullText.textContent = transcription.fullText;
-    elements.detailView.classList.remove('translate-x-full');
-    document.body.style.overflow = 'hidden';
-    history.pushState({ view: 'detail', id }, '', `#detail-${id}`);
+function setBackupBusy(busy) {
+    state.backupBusy = busy;
+    elements.backupBtn.disabled = busy;
+    elements.restoreBtn.disabled = busy;
 }
 
-// ========================================
-// Transcription CRUD
-// ========================================
-function createTranscription(text) {
-    const now = new Date();
-    const id = `ts_${now.getTime()}`;
-    const date = formatDate(now);
-    const preview = text.length > PREVIEW_LENGTH
-        ? text.substring(0, PREVIEW_LENGTH) + '...'
-        : text;
+async function handleRestoreInput(event) {
+    const file = event.target.files[0];
+    // 同じファイルを続けて選択できるようにリセット
+    event.target.value = '';
+    if (!file || state.backupBusy) return;
 
-    return { id, date, preview, fullText: text };
+    setBackupBusy(true);
+    showToast('復元中...', 'info');
+    try {
+        await restoreBackup(file, elements.restoreModeSelect.value);
+    } finally {
+        setBackupBusy(false);
+    }
 }
 
-function loadTranscriptions() {
+async function restoreBackup(file, mode) {
+    let backup;
     try {
-        const stored = localStorage.getItem(STORAGE_KEYS.TRANSCRIPTIONS);
-        state.transcriptions = stored ? JSON.parse(stored) : [];
-    } catch (e) {
-        console.error('Failed to load transcriptions:', e);
-        state.transcriptions = [];
+        backup = await readBackup(file);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+
+    let result;
+    try {
+        result = await applyBackup(backup, mode);
+        await loadTranscriptions();
+        await loadKeywords();
+        await loadSettings();
+    } catch (error) {
+        console.error('Restore failed:', error);
+        handleStorageError(error, '復元に失敗しました');
+        return;
     }
+
+    renderHistoryList();
+    renderSettings();
+    renderKeywordList();
+    updateKeywordBadge();
+    showToast(`${result.added}件を追加、${result.updated}件を更新しました`, 'success');
 }
 
-function saveTranscriptions() {
+/**
+ * ZIPを開いてbackup.jsonを検証する
+ * 失敗した場合はそのまま表示できるメッセージのErrorを投げる
+ */
+async function readBackup(file) {
+    let files;
+    let manifest;
     try {
-        localStorage.setItem(STORAGE_KEYS.TRANSCRIPTIONS, JSON.stringify(state.transcriptions));
-    } catch (e) {
-        console.error('Failed to save transcriptions:', e);
+        files = await readZip(file);
+        manifest = JSON.parse(await files.get(BACKUP_MANIFEST_NAME).text());
+    } catch (error) {
+        console.error('Failed to read backup:', error);
+        throw new Error('バックアップファイルを読み込めません');
     }
+
+    const problem = validateBackup(manifest);
+    if (problem) throw new Error(problem);
+    return { manifest, files };
 }
 
-function deleteCurrentTranscription() {
-    if (!state.currentTranscriptionId) return;
+function isTranscriptionId(value) {
+    return typeof value === 'string' && TRANSCRIPTION_ID_PATTERN.test(value);
+}
 
-    state.transcriptions = state.transcriptions.filter(t => t.id !== state.currentTranscriptionId);
-    saveTranscriptions();
-    renderHistoryList();
-    navigateToHome();
-    showToast('削除しました', 'success');
+/**
+ * @returns {string|null} 問題があれば表示用のメッセージ
+ */
+function validateBackup(manifest) {
+    if (manifest?.format !== BACKUP_FORMAT) {
+        return 'VoiceScribeのバックアップファイルではありません';
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+        return 'バックアップの形式が正しくありません';
+    }
+    if (manifest.version > BACKUP_VERSION) {
+        return '新しいバージョンのアプリで作成されたバックアップです。アプリを更新してから復元してください';
+    }
+
+    const valid = Array.isArray(manifest.transcriptions)
+        && manifest.transcriptions.every(t => isTranscriptionId(t?.id) && typeof t.fullText === 'string' && !t.status)
+        && Array.isArray(manifest.revisions)
+        && manifest.revisions.every(revision => isTranscriptionId(revision?.transcriptionId) && typeof revision.text === 'string')
+        && Array.isArray(manifest.keywords)
+        && manifest.keywords.every(keyword => typeof keyword?.word === 'string')
+        && Array.isArray(manifest.audio)
+        && manifest.audio.every(record => isTranscriptionId(record?.id) && typeof record.name === 'string')
+        && typeof manifest.settings === 'object' && manifest.settings !== null;
+    return valid ? null : 'バックアップの内容が壊れています';
 }
 
-// ========================================
-// History List Rendering
-// ========================================
-function renderHistoryList() {
-    const count = state.transcriptions.length;
-    elements.historyCount.textContent = count;
+/**
+ * バックアップの録音を表示・検索で扱える形に揃える
+ * 型の合わない項目は描画のたびに例外になるため取り込まずに捨て、日付・プレビューは本文と作成日時から作り直す
+ */
+function normalizeRestoredTranscription(t) {
+    const transcription = normalizeTranscription({
+        ...t,
+        createdAt: Number(t.createdAt) || 0,
+        segments: toRestoredSegments(t.segments),
+        duration: Number(t.duration) || 0,
+        tags: toStringList(t.tags),
+    });
+    transcription.date = formatDate(new Date(transcription.createdAt));
+    transcription.preview = makePreview(transcription.fullText);
 
-    if (count === 0) {
-        elements.emptyHistory.classList.remove('hidden');
-        elements.historyList.innerHTML = '';
-        return;
+    ['title', 'titleSource', 'folder', 'sourceName', 'language', 'originalText'].forEach((key) => {
+        if (typeof transcription[key] !== 'string') delete transcription[key];
+    });
+    if (!Number.isFinite(transcription.editedAt)) delete transcription.editedAt;
+
+    const summary = toRestoredSummary(transcription.summary);
+    if (summary) {
+        transcription.summary = summary;
+    } else {
+        delete transcription.summary;
     }
 
-    elements.emptyHistory.classList.add('hidden');
+    const translation = transcription.translation;
+    if (isPlainObject(translation) && typeof translation.fullText === 'string') {
+        transcription.translation = { ...translation, segments: toRestoredSegments(translation.segments) };
+    } else {
+        delete transcription.translation;
+    }
+    return transcription;
+}
 
-    elements.historyList.innerHTML = state.transcriptions.map(t => `
-        <div class="history-card p-4 rounded-2xl cursor-pointer" onclick="navigateToDetail('${t.id}')">
-            <div class="flex items-start justify-between gap-3">
-                <div class="flex-1 min-w-0">
-                    <p class="text-sm text-slate-800 font-medium truncate">${escapeHtml(t.preview)}</p>
-                    <p class="text-xs text-slate-400 mt-1">${t.date}</p>
-                </div>
-                <i class="ph ph-caret-right text-slate-400 text-lg flex-shrink-0"></i>
-            </div>
-        </div>
-    `).join('');
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
 }
 
-// ========================================
-// Detail Actions
-// ========================================
-async function copyCurrentTranscription() {
-    const transcription = state.transcriptions.find(t => t.id === state.currentTranscriptionId);
-    if (!transcription) return;
+function toStringList(value) {
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+}
 
-    try {
-        await navigator.clipboard.writeText(transcription.fullText);
-        showToast('コピーしました', 'success');
-    } catch (e) {
-        showToast('コピーに失敗しました', 'error');
+function toRestoredSegments(segments) {
+    if (!Array.isArray(segments)) return [];
+    return segments.filter(seg => Number.isFinite(seg?.start) && Number.isFinite(seg.end) && typeof seg.text === 'string');
+}
+
+/**
+ * 要約（api/_lib/summary.jsの形式）を項目ごとに確かめて組み立て直す（形式が違えばnull）
+ */
+function toRestoredSummary(summary) {
+    if (!isPlainObject(summary) || !Array.isArray(summary.keyPoints) || !Array.isArray(summary.actionItems)) return null;
+
+    const optionalString = value => (typeof value === 'string' ? value : null);
+    const restored = {
+        title: optionalString(summary.title) || '',
+        keyPoints: toStringList(summary.keyPoints),
+        decisions: toStringList(summary.decisions),
+        actionItems: summary.actionItems
+            .filter(item => typeof item?.task === 'string')
+            .map(item => ({ task: item.task, owner: optionalString(item.owner), due: optionalString(item.due) })),
+        generatedAt: Number(summary.generatedAt) || 0,
+    };
+    if (typeof summary.model === 'string') {
+        restored.model = summary.model;
     }
+    return restored;
 }
 
-function saveCurrentTranscription() {
-    const transcription = state.transcriptions.find(t => t.id === state.currentTranscriptionId);
-    if (!transcription) return;
+function getTranscriptionUpdatedAt(t) {
+    return Math.max(t.createdAt || 0, t.editedAt || 0, t.summary?.generatedAt || 0);
+}
 
-    const blob = new Blob([transcription.fullText], { type: 'text/plain;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `transcription_${transcription.id}.txt`;
-    a.click();
-    URL.revokeObjectURL(url);
-    showToast('保存しました', 'success');
+/**
+ * バックアップの内容をIndexedDBへ1つのトランザクションで書き込む
+ * 取り込んだ録音は版と音声もバックアップのものに入れ替える
+ * @returns {Promise<{ added: number, updated: number }>}
+ */
+async function applyBackup({ manifest, files }, mode) {
+    const replace = mode === RESTORE_MODES.REPLACE;
+    const current = new Map(state.transcriptions.map(t => [t.id, t]));
+
+    const incoming = manifest.transcriptions.map(normalizeRestoredTranscription).filter((t) => {
+        const local = current.get(t.id);
+        return replace || !local || getTranscriptionUpdatedAt(t) > getTranscriptionUpdatedAt(local);
+    });
+    const incomingIds = new Set(incoming.map(t => t.id));
+
+    // 置き換えでも送信待ちの録音は残す（音声がアップロードキューにしか無いため）
+    const removedIds = replace
+        ? state.transcriptions.filter(t => isExportable(t) && !incomingIds.has(t.id)).map(t => t.id)
+        : [];
+    const clearedIds = new Set([...incomingIds, ...removedIds]);
+    // インデックスのカーソルで消すと同じトランザクションで追加した版まで消えるため、先にキーを集める
+    const staleRevisionIds = (await dbGetAll(DB_STORES.REVISIONS))
+        .filter(revision => clearedIds.has(revision.transcriptionId))
+        .map(revision => revision.id);
+
+    const audio = manifest.audio
+        .filter(record => incomingIds.has(record.id) && files.has(record.name))
+        .map(record => ({
+            id: record.id,
+            blob: new Blob([files.get(record.name)], { type: record.mimeType || '' }),
+            mimeType: record.mimeType || '',
+            createdAt: record.createdAt || Date.now(),
+        }));
+    // 置き換えでもIDを数値に揃える（IDは削除ボタンの属性値に入る）
+    const keywords = mergeKeywords(replace ? [] : state.keywords, manifest.keywords);
+
+    await dbWrite([DB_STORES.TRANSCRIPTIONS, DB_STORES.AUDIO, DB_STORES.REVISIONS, DB_STORES.META], (tx) => {
+        const transcriptionStore = tx.objectStore(DB_STORES.TRANSCRIPTIONS);
+        const audioStore = tx.objectStore(DB_STORES.AUDIO);
+        const revisionStore = tx.objectStore(DB_STORES.REVISIONS);
+        const meta = tx.objectStore(DB_STORES.META);
+
+        removedIds.forEach((id) => {
+            transcriptionStore.delete(id);
+            audioStore.delete(id);
+        });
+        staleRevisionIds.forEach(id => revisionStore.delete(id));
+
+        incoming.forEach(t => transcriptionStore.put(t));
+        audio.forEach(record => audioStore.put(record));
+        manifest.revisions
+            .filter(revision => incomingIds.has(revision.transcriptionId))
+            .forEach(({ id, ...revision }) => revisionStore.add(revision));
+
+        meta.put({ key: META_KEYS.KEYWORDS, value: keywords });
+        if (replace) {
+            meta.put({ key: META_KEYS.SETTINGS, value: pickBackupSettings(manifest.settings) });
+        }
+    });
+
+    const updated = incoming.filter(t => current.has(t.id)).length;
+    return { added: incoming.length - updated, updated };
+}
+
+/**
+ * 既知の設定項目だけを取り込み、APIトークンはこの端末のものを残す
+ */
+function pickBackupSettings(settings) {
+    const picked = { ...state.settings };
+    Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+        if (key !== 'apiToken' && typeof settings[key] === typeof DEFAULT_SETTINGS[key]) {
+            picked[key] = settings[key];
+        }
+    });
+    return picked;
+}
+
+/**
+ * 同じ単語は今のものを残し、IDが重なる場合は振り直す
+ */
+function mergeKeywords(local, restored) {
+    const words = new Set(local.map(k => k.word));
+    const usedIds = new Set(local.map(k => k.id));
+    const merged = [...local];
+
+    restored.forEach((keyword) => {
+        if (words.has(keyword.word)) return;
+        let id = Number(keyword.id) || Date.now();
+        while (usedIds.has(id)) id++;
+        words.add(keyword.word);
+        usedIds.add(id);
+        merged.push({ word: keyword.word, id });
+    });
+    return merged;
 }
 
 // ========================================
 // Keywords
 // ========================================
-function loadKeywords() {
-    try {
-        const stored = localStorage.getItem(STORAGE_KEYS.KEYWORDS);
-        state.keywords = stored ? JSON.parse(stored) : [];
-    } catch (e) {
-        state.keywords = [];
-    }
+async function loadKeywords() {
+    state.keywords = (await dbGetMeta(META_KEYS.KEYWORDS)) || [];
 }
 
 function saveKeywords() {
-    localStorage.setItem(STORAGE_KEYS.KEYWORDS, JSON.stringify(state.keywords));
+    dbSetMeta(META_KEYS.KEYWORDS, state.keywords).catch((e) => {
+        console.error('Failed to save keywords:', e);
+        handleStorageError(e, 'キーワードの保存に失敗しました');
+    });
 }
 
 function addKeyword() {
@@ -637,6 +4755,13 @@ function addKeyword() {
     showToast('キーワードを追加しました', 'success');
 }
 
+function handleKeywordListClick(event) {
+    const button = event.target.closest('[data-keyword-id]');
+    if (button) {
+        removeKeyword(Number(button.dataset.keywordId));
+    }
+}
+
 function removeKeyword(id) {
     state.keywords = state.keywords.filter(k => k.id !== id);
     saveKeywords();
@@ -656,7 +4781,7 @@ function renderKeywordList() {
     elements.keywordList.innerHTML = state.keywords.map(k => `
         <div class="flex items-center justify-between p-3 bg-slate-50 rounded-xl">
             <span class="text-sm text-slate-700">${escapeHtml(k.word)}</span>
-            <button onclick="removeKeyword(${k.id})" class="p-1 hover:bg-slate-200 rounded-lg transition-colors">
+            <button data-keyword-id="${k.id}" class="p-1 hover:bg-slate-200 rounded-lg transition-colors">
                 <i class="ph ph-x text-slate-400"></i>
             </button>
         </div>
@@ -689,6 +4814,7 @@ function processKeywords(text) {
 // Bottom Sheet
 // ========================================
 function openBottomSheet() {
+    renderSettings();
     renderKeywordList();
     elements.bottomSheet.classList.remove('translate-y-full');
     elements.bottomSheetOverlay.classList.remove('hidden');
@@ -736,12 +4862,46 @@ function formatDate(date) {
     return `${y}/${m}/${d} ${h}:${min}`;
 }
 
+function formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const h = Math.floor(total / 3600);
+    const m = String(Math.floor((total % 3600) / 60)).padStart(h > 0 ? 2 : 1, '0');
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${m}:${s}` : `${m}:${s}`;
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))}KB`;
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
 }
 
+function formatFileDate(date) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    const h = String(date.getHours()).padStart(2, '0');
+    const min = String(date.getMinutes()).padStart(2, '0');
+    return `${y}${m}${d}-${h}${min}`;
+}
+
+/**
+ * XMLのテキストとして使えない制御文字を除いてエスケープ
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 function escapeRegExp(string) {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
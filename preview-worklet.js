@@ -0,0 +1,37 @@
+/**
+ * VoiceScribe AI - Live Preview Capture
+ * 録音中のマイク入力をPCMのまま一定量ずつメインスレッドへ送る（ライブプレビュー用）
+ */
+
+// 128サンプルのブロックをまとめて送り、メッセージの数を抑える
+const BATCH_SIZE = 4096;
+
+class PreviewCaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.buffer = new Float32Array(BATCH_SIZE);
+        this.length = 0;
+    }
+
+    process(inputs) {
+        const channel = inputs[0]?.[0];
+        if (!channel) return true;
+
+        let offset = 0;
+        while (offset < channel.length) {
+            const count = Math.min(channel.length - offset, BATCH_SIZE - this.length);
+            this.buffer.set(channel.subarray(offset, offset + count), this.length);
+            this.length += count;
+            offset += count;
+
+            if (this.length === BATCH_SIZE) {
+                this.port.postMessage(this.buffer, [this.buffer.buffer]);
+                this.buffer = new Float32Array(BATCH_SIZE);
+                this.length = 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('preview-capture', PreviewCaptureProcessor);
@@ -0,0 +1,292 @@
+/**
+ * VoiceScribe AI - Upload Queue
+ * オフライン時・失敗時のアップロードを保持して再送する
+ * メインスレッドとService Workerの両方から読み込む（db.jsに依存）
+ */
+
+const API_ENDPOINT = '/api/transcribe';
+const JOBS_ENDPOINT = '/api/jobs';
+const SUMMARY_ENDPOINT = '/api/summarize';
+const UPLOAD_QUEUE_SYNC_TAG = 'transcription-queue';
+const MAX_UPLOAD_ATTEMPTS = 3;
+
+const UPLOAD_STATUS = {
+    PENDING: 'pending',
+    FAILED: 'failed',
+    DONE: 'done',
+};
+
+// サーバーの非同期ジョブの状態（api/_lib/jobs.jsと対応）
+const JOB_STATUS = {
+    UPLOADING: 'uploading',
+    QUEUED: 'queued',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+};
+
+// APIのエラーコード（api/_lib/errors.jsと対応）
+const API_ERROR_CODES = {
+    UNAUTHORIZED: 'unauthorized',
+    FORBIDDEN: 'forbidden',
+    RATE_LIMITED: 'rate_limited',
+    QUOTA_EXCEEDED: 'quota_exceeded',
+    TOO_LARGE: 'too_large',
+    UNSUPPORTED_FORMAT: 'unsupported_format',
+    EMPTY_AUDIO: 'empty_audio',
+    PROVIDER_UNAVAILABLE: 'provider_unavailable',
+    NOT_FOUND: 'not_found',
+    JOBS_DISABLED: 'jobs_disabled',
+};
+
+// 同じ音声を再送しても成功しない失敗（認証エラーは設定を直してから手動で再試行する）
+const PERMANENT_ERROR_CODES = [
+    API_ERROR_CODES.UNAUTHORIZED,
+    API_ERROR_CODES.FORBIDDEN,
+    API_ERROR_CODES.TOO_LARGE,
+    API_ERROR_CODES.UNSUPPORTED_FORMAT,
+    API_ERROR_CODES.EMPTY_AUDIO,
+];
+
+let uploadQueueRunning = false;
+
+/**
+ * 設定のAPIトークンがあればAuthorizationヘッダーを付ける
+ * Service Workerからも呼ばれるため、設定はIndexedDBから読む
+ */
+async function buildApiHeaders() {
+    const settings = await dbGetMeta(META_KEYS.SETTINGS).catch(() => null);
+    return settings?.apiToken ? { Authorization: `Bearer ${settings.apiToken}` } : {};
+}
+
+function appendFormFields(formData, fields) {
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            formData.append(key, value);
+        }
+    });
+}
+
+/**
+ * APIを呼び出してレスポンスJSONを返す
+ * ネットワーク断はTypeError、HTTPエラーはstatus・code・retryAfter（秒）付きのErrorを投げる
+ */
+async function requestApi(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: { ...options.headers, ...await buildApiHeaders() },
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(errorData.error || `API error: ${response.status}`);
+        error.status = response.status;
+        error.code = errorData.code;
+        error.retryAfter = errorData.retryAfter ?? (Number(response.headers.get('Retry-After')) || undefined);
+        throw error;
+    }
+
+    return response.json();
+}
+
+/**
+ * 音声とフォーム項目を文字起こしAPIに送信
+ */
+function postTranscription(blob, filename, fields = {}) {
+    const formData = new FormData();
+    formData.append('audio', blob, filename);
+    appendFormFields(formData, fields);
+
+    return requestApi(API_ENDPOINT, { method: 'POST', body: formData });
+}
+
+/**
+ * サーバーが非同期ジョブを受け付けるか（{ enabled }）
+ */
+function fetchJobAvailability() {
+    return requestApi(JOBS_ENDPOINT);
+}
+
+/**
+ * 送信待ちエントリを1リクエストで送信（送信用に変換済みの音声があればそちらを送る）
+ */
+function postQueuedUpload(entry) {
+    return postTranscription(entry.uploadBlob || entry.blob, entry.uploadFilename || entry.filename, entry.fields);
+}
+
+/**
+ * 分割した音声（{ blob, start, end }の配列）を非同期ジョブとして送信
+ * ジョブを作成してから、1リクエストが大きくならないようパートを1つずつアップロードする
+ * 途中で失敗したジョブは削除する（次の再試行で作り直す）
+ */
+async function createTranscriptionJob(parts, fields = {}, onPartUploaded = () => { }) {
+    const formData = new FormData();
+    formData.append('ranges', JSON.stringify(parts.map(({ start, end }) => ({ start, end }))));
+    appendFormFields(formData, fields);
+
+    const job = await requestApi(JOBS_ENDPOINT, { method: 'POST', body: formData });
+
+    try {
+        for (const [index, part] of parts.entries()) {
+            await uploadTranscriptionJobPart(job.id, index, part.blob);
+            onPartUploaded(index + 1, parts.length);
+        }
+    } catch (error) {
+        deleteTranscriptionJob(job.id).catch(() => { });
+        throw error;
+    }
+    return job;
+}
+
+function uploadTranscriptionJobPart(jobId, index, blob) {
+    const formData = new FormData();
+    formData.append('audio', blob, `segment_${index + 1}.wav`);
+
+    return requestApi(`${JOBS_ENDPOINT}/${encodeURIComponent(jobId)}/parts?index=${index}`, {
+        method: 'POST',
+        body: formData,
+    });
+}
+
+function fetchTranscriptionJob(jobId) {
+    return requestApi(`${JOBS_ENDPOINT}/${encodeURIComponent(jobId)}`);
+}
+
+function deleteTranscriptionJob(jobId) {
+    return requestApi(`${JOBS_ENDPOINT}/${encodeURIComponent(jobId)}`, { method: 'DELETE' });
+}
+
+/**
+ * 文字起こし本文をAIで要約（タイトル・要点・決定事項・アクションアイテム）
+ */
+function requestSummary(text, language) {
+    return requestApi(SUMMARY_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, language }),
+    });
+}
+
+/**
+ * 待てば再送できる429（短時間のレート制限・1日の利用上限）
+ */
+function isRateLimitedError(error) {
+    return error?.code === API_ERROR_CODES.RATE_LIMITED
+        || error?.code === API_ERROR_CODES.QUOTA_EXCEEDED;
+}
+
+function isPermanentUploadError(error) {
+    return PERMANENT_ERROR_CODES.includes(error?.code);
+}
+
+/**
+ * キューに追加（idは対応する文字起こしのIDと同じ）
+ * segmentedは25MB超の録音、localは端末内エンジン指定の録音で、
+ * どちらもメインスレッドだけが処理する（localは端末外に送信しない）
+ * translateは完了後に英語翻訳も作成する録音（翻訳はメインスレッドが取り込み時に行う）
+ * uploadBlobは無音除去・圧縮済みの送信用音声（Service Workerは音声を変換できないため保存しておく）
+ * trimRangesは無音除去した場合の区間で、取り込み時にタイムスタンプを元の録音の位置へ戻す
+ * 再送しても成功しない失敗はstatusをFAILEDにして手動の再試行を待つ
+ */
+function enqueueUpload({
+    id, blob, filename, fields, segmented = false, local = false, translate = false,
+    status = UPLOAD_STATUS.PENDING, lastError = null, jobId = null,
+    uploadBlob = null, uploadFilename = null, trimRanges = null,
+}) {
+    return dbPut(DB_STORES.UPLOAD_QUEUE, {
+        id,
+        blob,
+        filename,
+        fields,
+        uploadBlob,
+        uploadFilename,
+        trimRanges,
+        segmented,
+        local,
+        translate,
+        // サーバーの非同期ジョブ（segmentedのみ、再読み込み後も状態の確認を再開する）
+        jobId,
+        status,
+        attempts: 0,
+        lastError,
+        result: null,
+        createdAt: Date.now(),
+    });
+}
+
+/**
+ * 送信の失敗をエントリに反映し、続けて次のエントリを送信してよいかを返す
+ * ネットワーク断・レート制限は試行回数に数えず、次の機会を待つ（falseを返す）
+ */
+function recordUploadFailure(entry, error) {
+    if (error instanceof TypeError || isRateLimitedError(error)) {
+        return false;
+    }
+    entry.attempts++;
+    entry.lastError = error.message;
+    if (entry.attempts >= MAX_UPLOAD_ATTEMPTS || isPermanentUploadError(error)) {
+        entry.status = UPLOAD_STATUS.FAILED;
+    }
+    return true;
+}
+
+/**
+ * 送信待ちエントリを更新（処理中に削除されたエントリは書き戻さない）
+ * @returns {Promise<boolean>} 更新したか
+ */
+async function updateQueuedUpload(entry) {
+    let exists = false;
+    await dbWrite(DB_STORES.UPLOAD_QUEUE, (tx) => {
+        const store = tx.objectStore(DB_STORES.UPLOAD_QUEUE);
+        const request = store.getKey(entry.id);
+        request.onsuccess = () => {
+            exists = request.result !== undefined;
+            if (exists) {
+                store.put(entry);
+            }
+        };
+    });
+    return exists;
+}
+
+/**
+ * 送信待ちのエントリを順番に再送し、結果をエントリに保存する
+ * 後処理（幻覚フィルター等）はメインスレッドが完了エントリを取り込む際に行う
+ *
+ * @param {Object} options
+ * @param {Function} [options.transcribe] - (entry) => APIレスポンス
+ * @param {Function} [options.filter] - 処理対象のエントリを選ぶ（既定はそのまま送信できるもの）
+ * @returns {Promise<number>} 完了したエントリ数
+ */
+async function processUploadQueue({ transcribe, filter = (entry) => !entry.segmented && !entry.local } = {}) {
+    if (uploadQueueRunning) return 0;
+    uploadQueueRunning = true;
+
+    const send = transcribe || postQueuedUpload;
+    let completed = 0;
+
+    try {
+        const entries = await dbGetAll(DB_STORES.UPLOAD_QUEUE);
+        const pending = entries
+            .filter(entry => entry.status === UPLOAD_STATUS.PENDING)
+            .filter(filter)
+            .sort((a, b) => a.createdAt - b.createdAt);
+
+        for (const entry of pending) {
+            try {
+                entry.result = await send(entry);
+                entry.status = UPLOAD_STATUS.DONE;
+                completed++;
+            } catch (error) {
+                if (!recordUploadFailure(entry, error)) {
+                    break;
+                }
+            }
+            await updateQueuedUpload(entry);
+        }
+    } finally {
+        uploadQueueRunning = false;
+    }
+
+    return completed;
+}
@@ -3,14 +3,25 @@
  * PWAオフラインサポートとキャッシュ管理
  */
 
-const CACHE_NAME = 'voicescribe-v2';
+importScripts('./db.js', './queue.js');
+
+const CACHE_NAME = 'voicescribe-v33';
+
+// 端末内エンジンのライブラリ等、オフラインでも使えるようキャッシュする外部オリジン
+const CACHEABLE_ORIGINS = ['https://cdn.jsdelivr.net'];
+const SHARE_TARGET_PATH = '/share-target';
 
 const ASSETS_TO_CACHE = [
     './',
     './index.html',
     './style.css',
     './main.js',
+    './db.js',
+    './queue.js',
+    './zip.js',
     './worker.js',
+    './encoder-worker.js',
+    './preview-worklet.js',
     './manifest.json',
     './tailwind.js',
     './phosphor-icons.js',
@@ -48,12 +59,24 @@ self.addEventListener('activate', (event) => {
 });
 
 self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+
+    // 共有シートからのPOST（manifest.jsonのshare_target）
+    if (event.request.method === 'POST' && url.pathname === SHARE_TARGET_PATH) {
+        event.respondWith(handleShareTarget(event.request));
+        return;
+    }
+
     if (event.request.method !== 'GET') {
         return;
     }
 
-    const url = new URL(event.request.url);
-    if (url.origin !== location.origin) {
+    // APIの応答（ジョブの状態など）はキャッシュせず常にネットワークから取得する
+    if (url.origin === location.origin && url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    if (url.origin !== location.origin && !CACHEABLE_ORIGINS.includes(url.origin)) {
         event.respondWith(fetch(event.request));
         return;
     }
@@ -90,3 +113,53 @@ self.addEventListener('message', (event) => {
         self.skipWaiting();
     }
 });
+
+// ========================================
+// Share Target: 共有されたファイルを保存してアプリに引き渡す
+// ========================================
+async function handleShareTarget(request) {
+    try {
+        const formData = await request.formData();
+        const files = formData.getAll('audio').filter(file => file instanceof File);
+
+        await dbWrite(DB_STORES.SHARED_FILES, (tx) => {
+            const store = tx.objectStore(DB_STORES.SHARED_FILES);
+            files.forEach(file => store.add({
+                name: file.name,
+                type: file.type,
+                blob: file,
+                receivedAt: Date.now(),
+            }));
+        });
+    } catch (e) {
+        console.error('Failed to receive shared files:', e);
+    }
+
+    // POSTの再送信を防ぐため303でアプリ本体へリダイレクト
+    return Response.redirect('./?action=shared', 303);
+}
+
+// ========================================
+// Background Sync: 送信待ちアップロードの再送
+// ========================================
+self.addEventListener('sync', (event) => {
+    if (event.tag === UPLOAD_QUEUE_SYNC_TAG) {
+        event.waitUntil(syncUploadQueue());
+    }
+});
+
+async function syncUploadQueue() {
+    await processUploadQueue();
+    await notifyClients({ type: 'upload-queue-updated' });
+
+    // 未送信が残っていればrejectしてブラウザに再試行させる
+    const entries = await dbGetAll(DB_STORES.UPLOAD_QUEUE);
+    if (entries.some(entry => entry.status === UPLOAD_STATUS.PENDING && !entry.segmented && !entry.local)) {
+        throw new Error('Upload queue not drained');
+    }
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,133 @@
+/**
+ * VoiceScribe AI - On-device Transcription Worker
+ * transformers.js（ONNX Runtime Web / WASM）でWhisperをブラウザ内で実行する
+ * 音声は端末の外に送信されない
+ *
+ * vercel.jsonのCOOP/COEPヘッダーによりcrossOriginIsolatedとなり、
+ * SharedArrayBufferを使ったWASMのマルチスレッド実行が有効になる
+ */
+
+import { pipeline, env } from 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.0.2';
+
+const MODEL_ID = 'onnx-community/whisper-base';
+
+// モデルはHugging Face Hubから取得し、ブラウザのCache Storageに保存される
+env.allowLocalModels = false;
+env.useBrowserCache = true;
+
+// return_languageの結果は言語名で返るためISO-639-1コードに揃える（api/_lib/transcription.jsと同じ対応表）
+const LANGUAGE_NAME_TO_CODE = {
+    japanese: 'ja',
+    english: 'en',
+    chinese: 'zh',
+    korean: 'ko',
+    spanish: 'es',
+    french: 'fr',
+    german: 'de',
+    italian: 'it',
+    portuguese: 'pt',
+    russian: 'ru',
+    vietnamese: 'vi',
+    thai: 'th',
+    indonesian: 'id',
+};
+
+let transcriberPromise = null;
+
+function loadTranscriber() {
+    if (transcriberPromise) return transcriberPromise;
+
+    transcriberPromise = pipeline('automatic-speech-recognition', MODEL_ID, {
+        device: 'wasm',
+        // デコーダーのみ量子化してモバイルでのメモリ使用量を抑える
+        dtype: {
+            encoder_model: 'fp32',
+            decoder_model_merged: 'q4',
+        },
+        progress_callback: (info) => {
+            if (info.status === 'progress') {
+                self.postMessage({ type: 'progress', file: info.file, progress: info.progress });
+            }
+        },
+    }).catch((error) => {
+        // 失敗した場合は次回のリクエストで再試行する
+        transcriberPromise = null;
+        throw error;
+    });
+
+    return transcriberPromise;
+}
+
+/**
+ * transformers.jsのチャンクをAPIと同じセグメント形式に揃える
+ */
+function normalizeChunks(chunks) {
+    if (!Array.isArray(chunks)) return [];
+
+    return chunks.map((chunk) => {
+        const [start, end] = chunk.timestamp || [];
+        return {
+            start: Number(start) || 0,
+            end: Number(end ?? start) || 0,
+            text: (chunk.text || '').trim(),
+            avg_logprob: 0,
+            no_speech_prob: 0,
+        };
+    });
+}
+
+/**
+ * 自動検出の場合にモデルが判定した言語（チャンクごとに付く）をコードで返す
+ */
+function detectLanguage(chunks) {
+    const name = (Array.isArray(chunks) ? chunks.find(chunk => chunk.language) : null)?.language;
+    if (!name) return null;
+    const value = String(name).trim().toLowerCase();
+    return LANGUAGE_NAME_TO_CODE[value] || (/^[a-z]{2,3}$/.test(value) ? value : null);
+}
+
+/**
+ * メッセージ:
+ *   { type: 'load', id }                           - モデルの事前読み込み
+ *   { type: 'transcribe', id, audio, language, task } - 16kHzモノラルのFloat32Arrayを文字起こし
+ *                                                    （task: 'translate'で英語に翻訳）
+ * 応答:
+ *   { type: 'progress', file, progress }
+ *   { type: 'transcribing', id }                   - モデル準備完了、推論開始
+ *   { type: 'result', id, text, segments, language } - languageは指定した言語か検出した言語
+ *   { type: 'loaded' | 'error', id, ... }
+ */
+self.addEventListener('message', async (event) => {
+    const { type, id, audio, language, task = 'transcribe' } = event.data;
+
+    try {
+        const transcriber = await loadTranscriber();
+
+        if (type === 'load') {
+            self.postMessage({ type: 'loaded', id });
+            return;
+        }
+
+        if (type === 'transcribe') {
+            self.postMessage({ type: 'transcribing', id });
+            const output = await transcriber(audio, {
+                language,
+                task,
+                chunk_length_s: 30,
+                stride_length_s: 5,
+                return_timestamps: true,
+                return_language: !language,
+            });
+
+            self.postMessage({
+                type: 'result',
+                id,
+                text: (output.text || '').trim(),
+                segments: normalizeChunks(output.chunks),
+                language: language || detectLanguage(output.chunks),
+            });
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message || String(error) });
+    }
+});
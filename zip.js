@@ -0,0 +1,217 @@
+/**
+ * VoiceScribe AI - ZIP Archive
+ * DOCX・複数ファイルの書き出しとバックアップに使うZIPの読み書き
+ * 音声など圧縮済みのデータが中心のため、書き込みは無圧縮（store）のみ
+ * 大きな音声でもメモリに載せないよう、Blobは読み書きともに切り出したまま扱う
+ * ZIP64には対応しないため、4GB・65535ファイルを超えるZIPは作成しない
+ */
+
+const ZIP_MAX_ENTRIES = 0xffff;
+const ZIP_MAX_BYTES = 0xffffffff;
+// 上限を超えて作成できなかったときのエラーコード
+const ZIP_LIMIT_ERROR = 'zip_limit_exceeded';
+
+const ZIP_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i;
+        for (let j = 0; j < 8; j++) {
+            crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+})();
+
+function updateZipCrc32(crc, bytes) {
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ZIP_CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc;
+}
+
+function zipCrc32(bytes) {
+    return (updateZipCrc32(0xffffffff, bytes) ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * BlobのCRC-32（全体を読み込まず少しずつ計算する）
+ */
+async function zipBlobCrc32(blob) {
+    const reader = blob.stream().getReader();
+    let crc = 0xffffffff;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        crc = updateZipCrc32(crc, value);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 文字列・ArrayBufferはバイト列に揃え、Blobはコピーせずそのまま使う
+ */
+function toZipData(data) {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return data;
+}
+
+function createZipLimitError(message) {
+    const error = new Error(message);
+    error.code = ZIP_LIMIT_ERROR;
+    return error;
+}
+
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * ZIPを作成
+ * @param {{ name: string, data: string|Blob|ArrayBuffer|Uint8Array, date?: Date }[]} files
+ * @returns {Promise<Blob>}
+ */
+async function createZip(files, type = 'application/zip') {
+    const encoder = new TextEncoder();
+    const entries = files.map((file) => {
+        const data = toZipData(file.data);
+        return { file, name: encoder.encode(file.name), data, size: data instanceof Blob ? data.size : data.byteLength };
+    });
+
+    // 位置・サイズが32ビットに収まらないと壊れたZIPになるため、書き始める前に確認する
+    if (entries.length > ZIP_MAX_ENTRIES) {
+        throw createZipLimitError('Too many files for a ZIP archive');
+    }
+    const totalSize = entries.reduce((sum, { name, size }) => sum + 30 + 46 + name.length * 2 + size, 22);
+    if (totalSize > ZIP_MAX_BYTES) {
+        throw createZipLimitError('ZIP archive exceeds 4GB');
+    }
+
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const { file, name, data, size } of entries) {
+        const crc = data instanceof Blob ? await zipBlobCrc32(data) : zipCrc32(data);
+        const { time, date } = toDosDateTime(file.date || new Date());
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);             // 展開に必要なバージョン
+        local.setUint16(6, 0x0800, true);         // ファイル名はUTF-8
+        local.setUint16(8, 0, true);              // 無圧縮
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, size, true);
+        central.setUint32(24, size, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);      // ローカルヘッダーの位置
+        centralDirectory.push(central, name);
+
+        offset += 30 + name.length + size;
+    }
+
+    const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type });
+}
+
+/**
+ * ZIPを読み込む（無圧縮と、他のツールで作り直された場合のdeflateに対応）
+ * 読み込むのは終端レコードと中央ディレクトリだけで、各ファイルは元のBlobから切り出して返す
+ * @param {Blob} blob
+ * @returns {Promise<Map<string, Blob>>} ファイル名ごとの内容（ディレクトリは除く）
+ */
+async function readZip(blob) {
+    // 末尾のコメント（最大65535バイト）を飛ばして終端レコードを探す
+    const tailStart = Math.max(0, blob.size - 22 - 0xffff);
+    const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+    let end = -1;
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+        if (tail.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('Not a ZIP archive');
+
+    const count = tail.getUint16(end + 10, true);
+    const directorySize = tail.getUint32(end + 12, true);
+    const directoryOffset = tail.getUint32(end + 16, true);
+    const directory = new Uint8Array(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+    const view = new DataView(directory.buffer);
+
+    const decoder = new TextDecoder();
+    const files = new Map();
+    let offset = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > directory.length || view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+
+        const method = view.getUint16(offset + 10, true);
+        const crc = view.getUint32(offset + 16, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(directory.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        // ローカルヘッダーの拡張領域は中央ディレクトリと長さが異なる場合がある
+        const local = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+        if (local.byteLength < 30 || local.getUint32(0, true) !== 0x04034b50) {
+            throw new Error(`Corrupt ZIP local header: ${name}`);
+        }
+        const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+        const stored = blob.slice(dataStart, dataStart + compressedSize);
+        let data;
+        if (method === 0) {
+            data = stored;
+        } else if (method === 8) {
+            data = await inflateRaw(stored);
+        } else {
+            throw new Error(`Unsupported ZIP compression method: ${method}`);
+        }
+
+        if (await zipBlobCrc32(data) !== crc) throw new Error(`CRC mismatch: ${name}`);
+        files.set(name, data);
+    }
+
+    return files;
+}
+
+function inflateRaw(blob) {
+    const stream = blob.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).blob();
+}